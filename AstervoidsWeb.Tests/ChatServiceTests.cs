@@ -0,0 +1,102 @@
+using AstervoidsWeb.Configuration;
+using AstervoidsWeb.Services;
+using FluentAssertions;
+using Microsoft.Extensions.Options;
+
+namespace AstervoidsWeb.Tests;
+
+public class ChatServiceTests
+{
+    private static readonly DateTime Now = new(2025, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+
+    [Fact]
+    public void SubmitMessage_ShouldTrimAndCollapseWhitespace()
+    {
+        // Arrange
+        var service = new ChatService();
+
+        // Act
+        var result = service.SubmitMessage(Guid.NewGuid(), "  nice \n\n shot\u0007  ", Now);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Text.Should().Be("nice shot");
+    }
+
+    [Fact]
+    public void SubmitMessage_Blank_ShouldFail()
+    {
+        // Arrange
+        var service = new ChatService();
+
+        // Act
+        var result = service.SubmitMessage(Guid.NewGuid(), " \t ", Now);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Text.Should().BeNull();
+        result.ErrorMessage.Should().NotBeNullOrEmpty();
+    }
+
+    [Fact]
+    public void SubmitMessage_TooLong_ShouldFail()
+    {
+        // Arrange
+        var service = new ChatService();
+
+        // Act
+        var atLimit = service.SubmitMessage(Guid.NewGuid(), new string('a', service.MaxMessageLength), Now);
+        var overLimit = service.SubmitMessage(Guid.NewGuid(), new string('a', service.MaxMessageLength + 1), Now);
+
+        // Assert
+        atLimit.Success.Should().BeTrue();
+        overLimit.Success.Should().BeFalse();
+    }
+
+    [Fact]
+    public void SubmitMessage_OverRateLimit_ShouldFailUntilWindowPasses()
+    {
+        // Arrange
+        var service = new ChatService(Options.Create(new ChatSettings { MaxMessagesPerWindow = 3, RateLimitWindowSeconds = 10 }));
+        var memberId = Guid.NewGuid();
+        for (int i = 0; i < 3; i++)
+            service.SubmitMessage(memberId, $"message {i}", Now.AddSeconds(i)).Success.Should().BeTrue();
+
+        // Act
+        var limited = service.SubmitMessage(memberId, "one too many", Now.AddSeconds(5));
+        var afterFirstExpires = service.SubmitMessage(memberId, "again", Now.AddSeconds(10));
+
+        // Assert
+        limited.Success.Should().BeFalse();
+        afterFirstExpires.Success.Should().BeTrue();
+    }
+
+    [Fact]
+    public void SubmitMessage_RateLimit_ShouldBePerMember()
+    {
+        // Arrange
+        var service = new ChatService(Options.Create(new ChatSettings { MaxMessagesPerWindow = 1 }));
+        service.SubmitMessage(Guid.NewGuid(), "hi", Now);
+
+        // Act
+        var result = service.SubmitMessage(Guid.NewGuid(), "hi", Now);
+
+        // Assert
+        result.Success.Should().BeTrue();
+    }
+
+    [Fact]
+    public void SubmitMessage_Rejected_ShouldNotCountTowardRateLimit()
+    {
+        // Arrange
+        var service = new ChatService(Options.Create(new ChatSettings { MaxMessagesPerWindow = 1 }));
+        var memberId = Guid.NewGuid();
+        service.SubmitMessage(memberId, "   ", Now);
+
+        // Act
+        var result = service.SubmitMessage(memberId, "hello", Now);
+
+        // Assert
+        result.Success.Should().BeTrue();
+    }
+}
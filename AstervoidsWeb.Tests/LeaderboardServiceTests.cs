@@ -0,0 +1,178 @@
+using AstervoidsWeb.Configuration;
+using AstervoidsWeb.Services;
+using FluentAssertions;
+using Microsoft.Extensions.Options;
+
+namespace AstervoidsWeb.Tests;
+
+public class LeaderboardServiceTests
+{
+    [Fact]
+    public void SubmitScore_ShouldRecordEntryWithSessionDetails()
+    {
+        // Arrange
+        var service = new LeaderboardService();
+
+        // Act
+        var result = service.SubmitScore("Mango", 12500, 7, 3, TimeSpan.FromSeconds(312.46));
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Rank.Should().Be(1);
+        result.Entry.Should().NotBeNull();
+        result.Entry!.SessionName.Should().Be("Mango");
+        result.Entry.Score.Should().Be(12500);
+        result.Entry.Wave.Should().Be(7);
+        result.Entry.MemberCount.Should().Be(3);
+        result.Entry.DurationSeconds.Should().Be(312.5);
+    }
+
+    [Fact]
+    public void GetTopScores_ShouldReturnEntriesBestFirst()
+    {
+        // Arrange
+        var service = new LeaderboardService();
+        service.SubmitScore("Apple", 500, 2, 2, TimeSpan.FromMinutes(1));
+        service.SubmitScore("Banana", 3000, 4, 4, TimeSpan.FromMinutes(3));
+        service.SubmitScore("Cherry", 1200, 3, 1, TimeSpan.FromMinutes(2));
+
+        // Act
+        var top = service.GetTopScores(10);
+
+        // Assert
+        top.Select(e => e.SessionName).Should().Equal("Banana", "Cherry", "Apple");
+    }
+
+    [Fact]
+    public void GetTopScores_ShouldLimitToRequestedCount()
+    {
+        // Arrange
+        var service = new LeaderboardService();
+        for (var i = 1; i <= 5; i++)
+            service.SubmitScore($"Session{i}", i * 100, 1, 2, TimeSpan.Zero);
+
+        // Act
+        var top = service.GetTopScores(2);
+
+        // Assert
+        top.Should().HaveCount(2);
+        top[0].Score.Should().Be(500);
+        top[1].Score.Should().Be(400);
+    }
+
+    [Fact]
+    public void SubmitScore_TiedScore_ShouldRankBehindEarlierEntry()
+    {
+        // Arrange
+        var service = new LeaderboardService();
+        service.SubmitScore("Apple", 1000, 3, 2, TimeSpan.Zero);
+
+        // Act
+        var result = service.SubmitScore("Banana", 1000, 3, 2, TimeSpan.Zero);
+
+        // Assert
+        result.Rank.Should().Be(2);
+        service.GetTopScores(10)[0].SessionName.Should().Be("Apple");
+    }
+
+    [Fact]
+    public void SubmitScore_WhenLeaderboardFull_ShouldDropLowestScore()
+    {
+        // Arrange
+        var service = new LeaderboardService(Options.Create(new LeaderboardSettings { MaxEntries = 2 }));
+        service.SubmitScore("Apple", 100, 1, 2, TimeSpan.Zero);
+        service.SubmitScore("Banana", 200, 1, 2, TimeSpan.Zero);
+
+        // Act
+        var result = service.SubmitScore("Cherry", 300, 1, 2, TimeSpan.Zero);
+
+        // Assert
+        result.Rank.Should().Be(1);
+        service.GetTopScores(10).Select(e => e.SessionName).Should().Equal("Cherry", "Banana");
+        service.GetTopScores(10).Should().HaveCount(2);
+    }
+
+    [Fact]
+    public void SubmitScore_WhenBelowFullLeaderboard_ShouldSucceedWithoutRank()
+    {
+        // Arrange
+        var service = new LeaderboardService(Options.Create(new LeaderboardSettings { MaxEntries = 1 }));
+        service.SubmitScore("Apple", 1000, 4, 2, TimeSpan.Zero);
+
+        // Act
+        var result = service.SubmitScore("Banana", 50, 1, 2, TimeSpan.Zero);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Rank.Should().BeNull();
+        service.GetTopScores(10).Should().ContainSingle(e => e.SessionName == "Apple");
+    }
+
+    [Theory]
+    [InlineData(-1, 1, 1)]
+    [InlineData(100, 0, 1)]
+    [InlineData(100, 1, 0)]
+    public void SubmitScore_WithInvalidValues_ShouldFail(int score, int wave, int memberCount)
+    {
+        // Arrange
+        var service = new LeaderboardService();
+
+        // Act
+        var result = service.SubmitScore("Apple", score, wave, memberCount, TimeSpan.Zero);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().NotBeNullOrEmpty();
+        service.GetTopScores(10).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void SubmitScore_WithFilePath_ShouldPersistAcrossInstances()
+    {
+        // Arrange
+        var filePath = Path.Combine(Path.GetTempPath(), $"leaderboard-{Guid.NewGuid()}.json");
+        var settings = Options.Create(new LeaderboardSettings { FilePath = filePath });
+
+        try
+        {
+            var first = new LeaderboardService(settings);
+            first.SubmitScore("Apple", 800, 3, 2, TimeSpan.FromSeconds(90));
+            first.SubmitScore("Banana", 1600, 5, 4, TimeSpan.FromSeconds(200));
+
+            // Act
+            var second = new LeaderboardService(settings);
+            var top = second.GetTopScores(10);
+
+            // Assert
+            top.Should().HaveCount(2);
+            top[0].SessionName.Should().Be("Banana");
+            top[0].MemberCount.Should().Be(4);
+            top[1].SessionName.Should().Be("Apple");
+        }
+        finally
+        {
+            File.Delete(filePath);
+        }
+    }
+
+    [Fact]
+    public void Constructor_WithCorruptFile_ShouldStartEmpty()
+    {
+        // Arrange
+        var filePath = Path.Combine(Path.GetTempPath(), $"leaderboard-{Guid.NewGuid()}.json");
+        File.WriteAllText(filePath, "not json");
+
+        try
+        {
+            // Act
+            var service = new LeaderboardService(Options.Create(new LeaderboardSettings { FilePath = filePath }));
+
+            // Assert
+            service.GetTopScores(10).Should().BeEmpty();
+        }
+        finally
+        {
+            File.Delete(filePath);
+        }
+    }
+}
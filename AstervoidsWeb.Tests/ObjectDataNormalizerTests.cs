@@ -0,0 +1,93 @@
+using System.Text.Json;
+using AstervoidsWeb.Services;
+using FluentAssertions;
+
+namespace AstervoidsWeb.Tests;
+
+public class ObjectDataNormalizerTests
+{
+    [Fact]
+    public void Normalize_JsonElements_ShouldBecomePlainValues()
+    {
+        // Arrange
+        var data = JsonSerializer.Deserialize<Dictionary<string, object?>>(
+            """{"type":"ship","x":0.25,"colorIndex":2,"seed":4294967296,"thrusting":true,"target":null}""");
+
+        // Act
+        var result = ObjectDataNormalizer.Normalize(data);
+
+        // Assert
+        result["type"].Should().BeOfType<string>().And.Be("ship");
+        result["x"].Should().BeOfType<double>().And.Be(0.25);
+        result["colorIndex"].Should().BeOfType<int>().And.Be(2);
+        result["seed"].Should().BeOfType<long>().And.Be(4294967296L);
+        result["thrusting"].Should().BeOfType<bool>().And.Be(true);
+        result["target"].Should().BeNull();
+    }
+
+    [Fact]
+    public void Normalize_MessagePackValues_ShouldMatchJson()
+    {
+        // Arrange - the types MessagePack produces for the same data
+        var fromMessagePack = new Dictionary<string, object?>
+        {
+            ["colorIndex"] = (byte)2,
+            ["lives"] = (sbyte)-1,
+            ["score"] = (ushort)1500,
+            ["seed"] = 4294967296UL,
+            ["x"] = 0.25f
+        };
+        var fromJson = JsonSerializer.Deserialize<Dictionary<string, object?>>(
+            """{"colorIndex":2,"lives":-1,"score":1500,"seed":4294967296,"x":0.25}""");
+
+        // Act
+        var normalizedMessagePack = ObjectDataNormalizer.Normalize(fromMessagePack);
+        var normalizedJson = ObjectDataNormalizer.Normalize(fromJson);
+
+        // Assert
+        foreach (var key in normalizedJson.Keys)
+        {
+            normalizedMessagePack[key]!.GetType().Should().Be(normalizedJson[key]!.GetType());
+            normalizedMessagePack[key].Should().Be(normalizedJson[key]);
+        }
+    }
+
+    [Fact]
+    public void Normalize_NestedMapsAndArrays_ShouldBeNormalizedRecursively()
+    {
+        // Arrange
+        var fromMessagePack = new Dictionary<string, object?>
+        {
+            ["players"] = new Dictionary<object, object?> { ["p1"] = new Dictionary<object, object?> { ["lives"] = (byte)3 } },
+            ["path"] = new object?[] { (byte)1, 2.5 }
+        };
+        var fromJson = JsonSerializer.Deserialize<Dictionary<string, object?>>(
+            """{"players":{"p1":{"lives":3}},"path":[1,2.5]}""");
+
+        // Act
+        var normalizedMessagePack = ObjectDataNormalizer.Normalize(fromMessagePack);
+        var normalizedJson = ObjectDataNormalizer.Normalize(fromJson);
+
+        // Assert
+        foreach (var result in new[] { normalizedMessagePack, normalizedJson })
+        {
+            var players = result["players"].Should().BeOfType<Dictionary<string, object?>>().Which;
+            var p1 = players["p1"].Should().BeOfType<Dictionary<string, object?>>().Which;
+            p1["lives"].Should().BeOfType<int>().And.Be(3);
+
+            var path = result["path"].Should().BeOfType<List<object?>>().Which;
+            path[0].Should().BeOfType<int>().And.Be(1);
+            path[1].Should().BeOfType<double>().And.Be(2.5);
+        }
+    }
+
+    [Fact]
+    public void Normalize_Null_ShouldReturnEmptyData()
+    {
+        // Act
+        var result = ObjectDataNormalizer.Normalize(null);
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+}
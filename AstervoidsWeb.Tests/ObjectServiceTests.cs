@@ -109,6 +109,41 @@ public class ObjectServiceTests
         obj.Should().BeNull();
     }
 
+    [Fact]
+    public void CreateObject_SpectatorCreatesMemberScoped_ShouldReturnNull()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var spectator = _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true).Member!;
+
+        // Act
+        var obj = _objectService.CreateObject(session.Id, spectator.Id, ObjectScope.Member, new Dictionary<string, object?>
+        {
+            ["type"] = "ship"
+        });
+
+        // Assert
+        obj.Should().BeNull();
+        session.Objects.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void CreateObject_OwnedBySpectator_ShouldReturnNull()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var creator = result.Creator!;
+        var spectator = _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true).Member!;
+
+        // Act
+        var obj = _objectService.CreateObject(session.Id, creator.Id, ObjectScope.Session,
+            ownerMemberId: spectator.Id);
+
+        // Assert
+        obj.Should().BeNull();
+    }
+
     [Fact]
     public void UpdateObject_ShouldMergeData()
     {
@@ -206,6 +241,61 @@ public class ObjectServiceTests
         results[1].Data["x"].Should().Be(200);
     }
 
+    [Fact]
+    public void UpdateObjects_WithPartialData_ShouldKeepUnchangedFields()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var creator = result.Creator!;
+        var obj = _objectService.CreateObject(session.Id, creator.Id, ObjectScope.Member,
+            new Dictionary<string, object?> { ["type"] = "ship", ["x"] = 0, ["y"] = 0, ["colorIndex"] = 2 });
+
+        var updates = new List<ObjectUpdate>
+        {
+            new(obj!.Id, new Dictionary<string, object?> { ["x"] = 12.5 })
+        };
+
+        // Act
+        var results = _objectService.UpdateObjects(session.Id, updates).ToList();
+
+        // Assert
+        results.Should().ContainSingle();
+        results[0].Data["x"].Should().Be(12.5);
+        results[0].Data["y"].Should().Be(0);
+        results[0].Data["type"].Should().Be("ship");
+        results[0].Data["colorIndex"].Should().Be(2);
+        results[0].Version.Should().Be(2);
+    }
+
+    [Fact]
+    public void UpdateObjects_WithStaleVersion_ShouldSkipOnlyThatObject()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var creator = result.Creator!;
+        var stale = _objectService.CreateObject(session.Id, creator.Id, ObjectScope.Member, new Dictionary<string, object?> { ["x"] = 0 });
+        var current = _objectService.CreateObject(session.Id, creator.Id, ObjectScope.Member, new Dictionary<string, object?> { ["x"] = 0 });
+        _objectService.UpdateObject(session.Id, stale!.Id, new Dictionary<string, object?> { ["x"] = 50 });
+
+        var updates = new List<ObjectUpdate>
+        {
+            new(stale.Id, new Dictionary<string, object?> { ["x"] = 100 }, ExpectedVersion: 1),
+            new(current!.Id, new Dictionary<string, object?> { ["x"] = 200 }, ExpectedVersion: 1)
+        };
+
+        // Act
+        var results = _objectService.UpdateObjects(session.Id, updates).ToList();
+
+        // Assert
+        results.Should().ContainSingle(o => o.Id == current.Id);
+        results.Should().NotContain(o => o.Id == stale.Id);
+        var unchanged = _objectService.GetObject(session.Id, stale.Id)!;
+        unchanged.Data["x"].Should().Be(50);
+        unchanged.Version.Should().Be(2);
+    }
+
     [Fact]
     public void DeleteObject_ShouldRemoveObject()
     {
@@ -371,6 +461,77 @@ public class ObjectServiceTests
         remaining.Should().Contain(o => o.Id == bullet2!.Id);
     }
 
+    [Fact]
+    public void ClaimObject_MatchingType_ShouldRemoveAndReturnObject()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var powerUp = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "powerup",
+            ["kind"] = "rapidFire"
+        });
+
+        // Act
+        var claimed = _objectService.ClaimObject(session.Id, powerUp!.Id, "powerup");
+
+        // Assert
+        claimed.Should().NotBeNull();
+        claimed!.Data["kind"].Should().Be("rapidFire");
+        _objectService.GetObject(session.Id, powerUp.Id).Should().BeNull();
+    }
+
+    [Fact]
+    public void ClaimObject_WrongType_ShouldNotRemoveObject()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+
+        // Act
+        var claimed = _objectService.ClaimObject(session.Id, asteroid!.Id, "powerup");
+
+        // Assert
+        claimed.Should().BeNull();
+        _objectService.GetObject(session.Id, asteroid.Id).Should().NotBeNull();
+    }
+
+    [Fact]
+    public void ClaimObject_ConcurrentClaims_OnlyOneMemberWins()
+    {
+        // Arrange - four players touch the same power-up in the same instant
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        for (var i = 2; i <= 4; i++)
+        {
+            _sessionService.JoinSession(session.Id, $"connection-{i}");
+        }
+        var powerUp = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "powerup",
+            ["kind"] = "extraLife"
+        });
+
+        // Act
+        var results = new SessionObject?[4];
+        Parallel.For(0, results.Length, i =>
+        {
+            results[i] = _objectService.ClaimObject(session.Id, powerUp!.Id, "powerup");
+        });
+
+        // Assert
+        results.Count(r => r != null).Should().Be(1);
+        _objectService.GetObjectCountByType(session.Id, "powerup").Should().Be(0);
+    }
+
     [Fact]
     public void GetObjectCountByType_ShouldCountMatchingObjects()
     {
@@ -521,4 +682,194 @@ public class ObjectServiceTests
         migratedObj!.OwnerMemberId.Should().Be(server.Id);
         _objectService.GetObjectCountByType(session.Id, "asteroid").Should().Be(1);
     }
+
+    [Fact]
+    public void HandleMemberDeparture_KeepMemberObjects_ShouldOnlyMigrateSessionScoped()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var server = result.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        var ship = _objectService.CreateObject(session.Id, client.Id, ObjectScope.Member, new Dictionary<string, object?>
+        {
+            ["type"] = "ship"
+        });
+        var asteroid = _objectService.CreateObject(session.Id, client.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+
+        // Act — client disconnected, may still come back for its ship
+        var departure = _objectService.HandleMemberDeparture(session.Id, client.Id, new List<Guid> { server.Id }, keepMemberObjects: true);
+
+        // Assert
+        departure.DeletedObjectIds.Should().BeEmpty();
+        departure.MigratedObjects.Should().Contain(m => m.ObjectId == asteroid!.Id);
+        _objectService.GetObject(session.Id, ship!.Id)!.OwnerMemberId.Should().Be(client.Id);
+    }
+
+    [Fact]
+    public void TransferOwnership_ExpectedOwner_ShouldChangeOwnerAndBumpVersion()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var server = result.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+
+        // Act
+        var transferred = _objectService.TransferOwnership(session.Id, asteroid!.Id, server.Id, client.Id);
+
+        // Assert
+        transferred.Should().NotBeNull();
+        transferred!.OwnerMemberId.Should().Be(client.Id);
+        transferred.CreatorMemberId.Should().Be(server.Id);
+        transferred.Version.Should().Be(2);
+    }
+
+    [Fact]
+    public void TransferOwnership_OwnerAlreadyChanged_ShouldFail()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var server = result.Creator!;
+        var client1 = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        var client2 = _sessionService.JoinSession(session.Id, "connection-3").Member!;
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+        _objectService.TransferOwnership(session.Id, asteroid!.Id, server.Id, client1.Id);
+
+        // Act - client2 still thinks the server owns it
+        var transferred = _objectService.TransferOwnership(session.Id, asteroid.Id, server.Id, client2.Id);
+
+        // Assert
+        transferred.Should().BeNull();
+        _objectService.GetObject(session.Id, asteroid.Id)!.OwnerMemberId.Should().Be(client1.Id);
+    }
+
+    [Fact]
+    public void TransferOwnership_ToSpectator_ShouldFail()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var server = result.Creator!;
+        var spectator = _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true).Member!;
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+
+        // Act
+        var transferred = _objectService.TransferOwnership(session.Id, asteroid!.Id, server.Id, spectator.Id);
+
+        // Assert
+        transferred.Should().BeNull();
+        _objectService.GetObject(session.Id, asteroid.Id)!.Version.Should().Be(1);
+    }
+
+    [Fact]
+    public void TransferOwnership_ConcurrentRequests_OnlyOneMemberWins()
+    {
+        // Arrange - three players ask for the same asteroid in the same instant
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var clients = Enumerable.Range(2, 3)
+            .Select(i => _sessionService.JoinSession(session.Id, $"connection-{i}").Member!)
+            .ToArray();
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+
+        // Act
+        var results = new SessionObject?[clients.Length];
+        Parallel.For(0, results.Length, i =>
+        {
+            results[i] = _objectService.TransferOwnership(session.Id, asteroid!.Id, server.Id, clients[i].Id);
+        });
+
+        // Assert
+        results.Count(r => r != null).Should().Be(1);
+        var stored = _objectService.GetObject(session.Id, asteroid!.Id)!;
+        clients.Select(c => c.Id).Should().Contain(stored.OwnerMemberId);
+        stored.Version.Should().Be(2);
+    }
+
+    [Fact]
+    public void UpdateObjects_FromPreviousOwner_AfterTransfer_ShouldSkip()
+    {
+        // Arrange
+        var result = _sessionService.CreateSession("connection-1", 1.5);
+        var session = result.Session!;
+        var server = result.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid",
+            ["x"] = 0.5
+        });
+        _objectService.TransferOwnership(session.Id, asteroid!.Id, server.Id, client.Id);
+
+        // Act - the server's update was authorized before the asteroid changed hands
+        var updated = _objectService.UpdateObjects(session.Id, new[]
+        {
+            new ObjectUpdate(asteroid.Id, new Dictionary<string, object?> { ["x"] = 0.9 }, ExpectedOwnerId: server.Id)
+        });
+
+        // Assert
+        updated.Should().BeEmpty();
+        var stored = _objectService.GetObject(session.Id, asteroid.Id)!;
+        stored.Data["x"].Should().Be(0.5);
+        stored.Version.Should().Be(2);
+    }
+
+    [Fact]
+    public void UpdatesAndTransfers_Concurrent_ShouldCountEveryVersionOnce()
+    {
+        // Arrange - three players keep updating an asteroid while passing it between each other
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var players = new[]
+        {
+            createResult.Creator!.Id,
+            _sessionService.JoinSession(session.Id, "connection-2").Member!.Id,
+            _sessionService.JoinSession(session.Id, "connection-3").Member!.Id
+        };
+        var asteroid = _objectService.CreateObject(session.Id, players[0], ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+        var applied = 0;
+        var transferred = 0;
+
+        // Act
+        Parallel.For(0, 2000, i =>
+        {
+            var player = players[i % players.Length];
+            if (i % 2 == 0)
+            {
+                var update = new ObjectUpdate(asteroid!.Id, new Dictionary<string, object?> { ["x"] = i * 0.0001 }, ExpectedOwnerId: player);
+                Interlocked.Add(ref applied, _objectService.UpdateObjects(session.Id, new[] { update }).Count());
+            }
+            else if (_objectService.TransferOwnership(session.Id, asteroid!.Id, player, players[(i + 1) % players.Length]) != null)
+            {
+                Interlocked.Increment(ref transferred);
+            }
+        });
+
+        // Assert
+        (applied + transferred).Should().BeGreaterThan(0);
+        _objectService.GetObject(session.Id, asteroid!.Id)!.Version.Should().Be(1 + applied + transferred);
+    }
 }
@@ -178,4 +178,63 @@ public class ServerPromotionTests
             }
         }
     }
+
+    [Fact]
+    public void TransferServerRole_ShouldSwapRolesAndIncrementVersion()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("server-conn", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "client-conn").Member!;
+        var initialVersion = session.Version;
+
+        // Act
+        var newServer = _sessionService.TransferServerRole(server.Id, client.Id);
+
+        // Assert
+        newServer!.Id.Should().Be(client.Id);
+        client.Role.Should().Be(MemberRole.Server);
+        server.Role.Should().Be(MemberRole.Client);
+        session.Version.Should().Be(initialVersion + 1);
+    }
+
+    [Fact]
+    public void TransferServerRole_SessionObjectsMigrate_MemberObjectsStay()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("server-conn", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "client-conn").Member!;
+        var serverShip = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Member);
+        var asteroid = _objectService.CreateObject(session.Id, server.Id, ObjectScope.Session);
+
+        // Act
+        _sessionService.TransferServerRole(server.Id, client.Id);
+        var departureResult = _objectService.HandleMemberDeparture(session.Id, server.Id, [client.Id], keepMemberObjects: true);
+
+        // Assert
+        departureResult.MigratedObjects.Select(m => m.ObjectId).Should().Contain(asteroid!.Id);
+        departureResult.DeletedObjectIds.Should().BeEmpty();
+        asteroid.OwnerMemberId.Should().Be(client.Id);
+        serverShip!.OwnerMemberId.Should().Be(server.Id);
+    }
+
+    [Fact]
+    public void TransferServerRole_ToSpectatorOrFromClient_ShouldFail()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("server-conn", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "client-conn").Member!;
+        var spectator = _sessionService.JoinSession(session.Id, "spectator-conn", asSpectator: true).Member!;
+
+        // Act & Assert
+        _sessionService.TransferServerRole(server.Id, spectator.Id).Should().BeNull();
+        _sessionService.TransferServerRole(client.Id, server.Id).Should().BeNull();
+        server.Role.Should().Be(MemberRole.Server);
+        spectator.Role.Should().Be(MemberRole.Spectator);
+    }
 }
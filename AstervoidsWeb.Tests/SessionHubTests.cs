@@ -0,0 +1,211 @@
+using System.Security.Claims;
+using AstervoidsWeb.Hubs;
+using AstervoidsWeb.Models;
+using AstervoidsWeb.Services;
+using FluentAssertions;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace AstervoidsWeb.Tests;
+
+public class SessionHubTests
+{
+    private readonly SessionService _sessionService;
+    private readonly ObjectService _objectService;
+    private readonly RecordingClients _clients;
+    private readonly Session _session;
+    private readonly Member _server;
+
+    public SessionHubTests()
+    {
+        _sessionService = new SessionService();
+        _objectService = new ObjectService(_sessionService);
+        _clients = new RecordingClients();
+
+        var result = _sessionService.CreateSession("server-conn", 1.5);
+        _session = result.Session!;
+        _server = result.Creator!;
+        _sessionService.JoinSession(_session.Id, "spectator-conn", asSpectator: true);
+    }
+
+    [Fact]
+    public async Task ReportShipHit_FromPlayer_ShouldBroadcast()
+    {
+        // Act
+        await CreateHub("server-conn").ReportShipHit();
+
+        // Assert
+        _clients.SentMethods.Should().Contain("OnShipHitReported");
+    }
+
+    [Fact]
+    public async Task ReportShipHit_FromSpectator_ShouldNotBroadcast()
+    {
+        // Act
+        await CreateHub("spectator-conn").ReportShipHit();
+
+        // Assert
+        _clients.SentMethods.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task ReportScore_FromSpectator_ShouldNotBroadcast()
+    {
+        // Act
+        await CreateHub("spectator-conn").ReportScore(100, "large");
+
+        // Assert
+        _clients.SentMethods.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task CollectPowerUp_FromSpectator_ShouldLeavePowerUpInPlace()
+    {
+        // Arrange
+        var powerUp = _objectService.CreateObject(_session.Id, _server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "powerup",
+            ["kind"] = "extraLife"
+        });
+
+        // Act
+        var collected = await CreateHub("spectator-conn").CollectPowerUp(powerUp!.Id);
+
+        // Assert
+        collected.Should().BeFalse();
+        _objectService.GetObject(_session.Id, powerUp.Id).Should().NotBeNull();
+        _clients.SentMethods.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task HitReports_FromSpectator_ShouldNotBroadcast()
+    {
+        // Arrange
+        var hub = CreateHub("spectator-conn");
+        var objectId = Guid.NewGuid();
+
+        // Act
+        await hub.ReportBulletHit(objectId, objectId);
+        await hub.ConfirmBulletHit(objectId, _server.Id, 20, "large");
+        await hub.RejectBulletHit(objectId, _server.Id);
+        await hub.ReportShipBulletHit(objectId, objectId);
+        await hub.ConfirmShipBulletHit(objectId, _server.Id, _server.Id, 100);
+        await hub.RejectShipBulletHit(objectId, _server.Id);
+
+        // Assert
+        _clients.SentMethods.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task DeleteObject_FromSpectator_ShouldKeepObject()
+    {
+        // Arrange
+        var asteroid = _objectService.CreateObject(_session.Id, _server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid"
+        });
+
+        // Act
+        var deleted = await CreateHub("spectator-conn").DeleteObject(asteroid!.Id);
+
+        // Assert
+        deleted.Should().BeFalse();
+        _objectService.GetObject(_session.Id, asteroid.Id).Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task UpdateObjects_SameObjectTwice_ShouldMergeIntoOneAppliedUpdate()
+    {
+        // Arrange
+        var asteroid = _objectService.CreateObject(_session.Id, _server.Id, ObjectScope.Session, new Dictionary<string, object?>
+        {
+            ["type"] = "asteroid",
+            ["x"] = 0.1,
+            ["y"] = 0.1
+        });
+
+        // Act
+        var response = await CreateHub("server-conn").UpdateObjects(new[]
+        {
+            new ObjectUpdateRequest(asteroid!.Id, new Dictionary<string, object?> { ["x"] = 0.2 }, 1),
+            new ObjectUpdateRequest(asteroid.Id, new Dictionary<string, object?> { ["x"] = 0.3, ["y"] = 0.4 }, 2)
+        });
+
+        // Assert
+        response.Should().NotBeNull();
+        response!.Rejected.Should().BeEmpty();
+        var applied = response.Applied.Should().ContainSingle().Which;
+        applied.Data["x"].Should().Be(0.3);
+        applied.Data["y"].Should().Be(0.4);
+        applied.Version.Should().Be(2);
+        _objectService.GetObject(_session.Id, asteroid.Id)!.Data["x"].Should().Be(0.3);
+    }
+
+    [Fact]
+    public async Task UpdateObjects_RejectedObjectTwice_ShouldBeRejectedOnce()
+    {
+        // Arrange
+        var missingId = Guid.NewGuid();
+
+        // Act
+        var response = await CreateHub("server-conn").UpdateObjects(new[]
+        {
+            new ObjectUpdateRequest(missingId, new Dictionary<string, object?> { ["x"] = 0.2 }),
+            new ObjectUpdateRequest(missingId, new Dictionary<string, object?> { ["x"] = 0.3 })
+        });
+
+        // Assert
+        response.Should().NotBeNull();
+        response!.Applied.Should().BeEmpty();
+        response.Rejected.Should().ContainSingle().Which.Reason.Should().Be("NotFound");
+    }
+
+    private SessionHub CreateHub(string connectionId) =>
+        new(_sessionService, _objectService, new LeaderboardService(), new ChatService(), NullLogger<SessionHub>.Instance)
+        {
+            Context = new TestHubCallerContext(connectionId),
+            Clients = _clients
+        };
+
+    private sealed class TestHubCallerContext : HubCallerContext
+    {
+        public TestHubCallerContext(string connectionId)
+        {
+            ConnectionId = connectionId;
+        }
+
+        public override string ConnectionId { get; }
+        public override string? UserIdentifier => null;
+        public override ClaimsPrincipal? User => null;
+        public override IDictionary<object, object?> Items { get; } = new Dictionary<object, object?>();
+        public override IFeatureCollection Features { get; } = new FeatureCollection();
+        public override CancellationToken ConnectionAborted => CancellationToken.None;
+        public override void Abort() { }
+    }
+
+    // Records the name of every message the hub sends, whoever it is addressed to
+    private sealed class RecordingClients : IHubCallerClients, IClientProxy
+    {
+        public List<string> SentMethods { get; } = new();
+
+        public Task SendCoreAsync(string method, object?[] args, CancellationToken cancellationToken = default)
+        {
+            SentMethods.Add(method);
+            return Task.CompletedTask;
+        }
+
+        public IClientProxy Caller => this;
+        public IClientProxy Others => this;
+        public IClientProxy All => this;
+        public IClientProxy OthersInGroup(string groupName) => this;
+        public IClientProxy AllExcept(IReadOnlyList<string> excludedConnectionIds) => this;
+        public IClientProxy Client(string connectionId) => this;
+        public IClientProxy Clients(IReadOnlyList<string> connectionIds) => this;
+        public IClientProxy Group(string groupName) => this;
+        public IClientProxy GroupExcept(string groupName, IReadOnlyList<string> excludedConnectionIds) => this;
+        public IClientProxy Groups(IReadOnlyList<string> groupNames) => this;
+        public IClientProxy User(string userId) => this;
+        public IClientProxy Users(IReadOnlyList<string> userIds) => this;
+    }
+}
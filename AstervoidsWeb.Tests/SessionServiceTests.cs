@@ -262,6 +262,97 @@ public class SessionServiceTests
         failedResult.ErrorMessage.Should().NotBeNullOrEmpty();
     }
 
+    [Fact]
+    public void JoinSession_AsSpectator_ShouldNotCountTowardPlayerCap()
+    {
+        // Arrange - fill the session with 4 players (max)
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.JoinSession(session.Id, "connection-2");
+        _sessionService.JoinSession(session.Id, "connection-3");
+        _sessionService.JoinSession(session.Id, "connection-4");
+
+        // Act
+        var result = _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Member!.Role.Should().Be(MemberRole.Spectator);
+        session.PlayerCount.Should().Be(4);
+        session.SpectatorCount.Should().Be(1);
+    }
+
+    [Fact]
+    public void JoinSession_SpectatorsFull_ShouldFail()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        for (var i = 0; i < _sessionService.MaxSpectatorsPerSession; i++)
+        {
+            _sessionService.JoinSession(session.Id, $"spectator-{i}", asSpectator: true).Success.Should().BeTrue();
+        }
+
+        // Act
+        var spectatorResult = _sessionService.JoinSession(session.Id, "spectator-extra", asSpectator: true);
+        var playerResult = _sessionService.JoinSession(session.Id, "connection-2");
+
+        // Assert - spectators are capped, but players can still join
+        spectatorResult.Success.Should().BeFalse();
+        spectatorResult.ErrorMessage.Should().NotBeNullOrEmpty();
+        playerResult.Success.Should().BeTrue();
+    }
+
+    [Fact]
+    public void LeaveSession_ServerLeaves_ShouldNotPromoteSpectator()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true);
+        _sessionService.JoinSession(session.Id, "spectator-2", asSpectator: true);
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        // Act
+        var result = _sessionService.LeaveSession("connection-1");
+
+        // Assert
+        result!.PromotedMember.Should().NotBeNull();
+        result.PromotedMember!.Id.Should().Be(client.Id);
+        session.Members.Values.Where(m => m.Role == MemberRole.Spectator).Should().HaveCount(2);
+    }
+
+    [Fact]
+    public void LeaveSession_LastPlayerLeaves_ShouldRemoveSpectatorsAndDestroySession()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var spectator = _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true).Member!;
+
+        // Act
+        var result = _sessionService.LeaveSession("connection-1");
+
+        // Assert
+        result!.SessionDestroyed.Should().BeTrue();
+        result.PromotedMember.Should().BeNull();
+        result.RemovedSpectators!.Select(m => m.Id).Should().Equal(spectator.Id);
+        _sessionService.GetSession(session.Id).Should().BeNull();
+        _sessionService.GetMemberByConnectionId("spectator-1").Should().BeNull();
+    }
+
+    [Fact]
+    public void GetActiveSessions_ShouldCountPlayersAndSpectatorsSeparately()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.JoinSession(session.Id, "connection-2");
+        _sessionService.JoinSession(session.Id, "spectator-1", asSpectator: true);
+
+        // Act
+        var info = _sessionService.GetActiveSessions().Sessions.Single();
+
+        // Assert
+        info.MemberCount.Should().Be(2);
+        info.SpectatorCount.Should().Be(1);
+    }
+
     [Fact]
     public void CreateSession_ShouldStoreAspectRatio()
     {
@@ -299,4 +390,438 @@ public class SessionServiceTests
         joinResult.Success.Should().BeTrue();
         joinResult.Session!.AspectRatio.Should().BeApproximately(1.333, 0.001);
     }
+
+    [Fact]
+    public void DisconnectMember_ShouldKeepPlaceUntilResumed()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        // Act
+        var result = _sessionService.DisconnectMember("connection-2");
+
+        // Assert
+        result.Should().NotBeNull();
+        result!.Member.Id.Should().Be(client.Id);
+        client.IsConnected.Should().BeFalse();
+        session.PlayerCount.Should().Be(2);
+        _sessionService.GetMemberByConnectionId("connection-2").Should().BeNull();
+    }
+
+    [Fact]
+    public void ResumeSession_WithToken_ShouldRebindConnection()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        _sessionService.DisconnectMember("connection-2");
+
+        // Act
+        var result = _sessionService.ResumeSession(session.Id, client.Id, client.ResumeToken, "connection-3");
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Member!.Id.Should().Be(client.Id);
+        client.IsConnected.Should().BeTrue();
+        client.ConnectionId.Should().Be("connection-3");
+        _sessionService.GetMemberByConnectionId("connection-3")!.Id.Should().Be(client.Id);
+    }
+
+    [Fact]
+    public void ResumeSession_WrongToken_ShouldFail()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        _sessionService.DisconnectMember("connection-2");
+
+        // Act
+        var result = _sessionService.ResumeSession(session.Id, client.Id, "not-the-token", "connection-3");
+
+        // Assert
+        result.Success.Should().BeFalse();
+        client.IsConnected.Should().BeFalse();
+        _sessionService.GetMemberByConnectionId("connection-3").Should().BeNull();
+    }
+
+    [Fact]
+    public void ResumeSession_MemberStillConnected_ShouldTakeOverConnection()
+    {
+        // Arrange - the client reconnected before the server noticed connection-2 dropped
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        // Act
+        var result = _sessionService.ResumeSession(session.Id, client.Id, client.ResumeToken, "connection-3");
+        var lateDisconnect = _sessionService.DisconnectMember("connection-2");
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.ReplacedConnectionId.Should().Be("connection-2");
+        client.ConnectionId.Should().Be("connection-3");
+        client.IsConnected.Should().BeTrue();
+        _sessionService.GetMemberByConnectionId("connection-3")!.Id.Should().Be(client.Id);
+        _sessionService.GetMemberByConnectionId("connection-2").Should().BeNull();
+        lateDisconnect.Should().BeNull();
+        session.PlayerCount.Should().Be(2);
+    }
+
+    [Fact]
+    public void ResumeSession_MemberStillConnected_WrongToken_ShouldFail()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        // Act
+        var result = _sessionService.ResumeSession(session.Id, client.Id, "not-the-token", "connection-3");
+
+        // Assert
+        result.Success.Should().BeFalse();
+        client.ConnectionId.Should().Be("connection-2");
+        _sessionService.GetMemberByConnectionId("connection-2")!.Id.Should().Be(client.Id);
+    }
+
+    [Fact]
+    public void DisconnectMember_ServerDisconnects_ShouldPromoteConnectedClient()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        // Act
+        var result = _sessionService.DisconnectMember("connection-1");
+
+        // Assert
+        result!.PromotedMember!.Id.Should().Be(client.Id);
+        client.Role.Should().Be(MemberRole.Server);
+        server.Role.Should().Be(MemberRole.Client);
+    }
+
+    [Fact]
+    public void DisconnectMember_LastConnectedServer_ShouldKeepServerRole()
+    {
+        // Arrange
+        var createResult = _sessionService.CreateSession("connection-1", 1.5);
+        var session = createResult.Session!;
+        var server = createResult.Creator!;
+        _sessionService.JoinSession(session.Id, "connection-2");
+        _sessionService.DisconnectMember("connection-2");
+
+        // Act
+        var result = _sessionService.DisconnectMember("connection-1");
+
+        // Assert
+        result!.PromotedMember.Should().BeNull();
+        server.Role.Should().Be(MemberRole.Server);
+    }
+
+    [Fact]
+    public void ExpireDisconnectedMembers_AfterGracePeriod_ShouldRemoveMember()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        _sessionService.DisconnectMember("connection-2");
+
+        // Act
+        var early = _sessionService.ExpireDisconnectedMembers(DateTime.UtcNow);
+        var late = _sessionService.ExpireDisconnectedMembers(DateTime.UtcNow + _sessionService.ReconnectGracePeriod);
+
+        // Assert
+        early.Should().BeEmpty();
+        late.Select(r => r.MemberId).Should().Equal(client.Id);
+        session.Members.Should().NotContainKey(client.Id);
+        _sessionService.ResumeSession(session.Id, client.Id, client.ResumeToken, "connection-3").Success.Should().BeFalse();
+    }
+
+    [Fact]
+    public void ExpireDisconnectedMembers_LastPlayer_ShouldDestroySession()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.DisconnectMember("connection-1");
+
+        // Act
+        var results = _sessionService.ExpireDisconnectedMembers(DateTime.UtcNow + _sessionService.ReconnectGracePeriod);
+
+        // Assert
+        results.Should().ContainSingle(r => r.SessionDestroyed);
+        _sessionService.GetSession(session.Id).Should().BeNull();
+    }
+
+    [Fact]
+    public void CreateSession_ShouldAssignJoinCode()
+    {
+        // Arrange & Act
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+
+        // Assert
+        session.JoinCode.Should().HaveLength(6);
+        session.JoinCode.Should().MatchRegex("^[A-Z2-9]+$");
+        session.IsPrivate.Should().BeFalse();
+    }
+
+    [Fact]
+    public void CreateSession_MultipleSessions_ShouldHaveUniqueJoinCodes()
+    {
+        // Arrange & Act
+        var codes = new HashSet<string>();
+        for (int i = 0; i < 6; i++)
+        {
+            var result = _sessionService.CreateSession($"connection-{i}", 1.5);
+            codes.Add(result.Session!.JoinCode);
+        }
+
+        // Assert
+        codes.Should().HaveCount(6, "all join codes should be unique");
+    }
+
+    [Fact]
+    public void GetSessionByJoinCode_ShouldIgnoreCaseAndWhitespace()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5, isPrivate: true).Session!;
+
+        // Act
+        var found = _sessionService.GetSessionByJoinCode($"  {session.JoinCode.ToLowerInvariant()} ");
+
+        // Assert
+        found.Should().NotBeNull();
+        found!.Id.Should().Be(session.Id);
+        _sessionService.GetSessionByJoinCode("").Should().BeNull();
+    }
+
+    [Fact]
+    public void GetActiveSessions_PrivateSession_ShouldOnlyBeListedForItsMembers()
+    {
+        // Arrange
+        _sessionService.CreateSession("connection-1", 1.5);
+        var privateSession = _sessionService.CreateSession("connection-2", 1.5, isPrivate: true).Session!;
+        _sessionService.JoinSession(privateSession.Id, "connection-3");
+
+        // Act
+        var outsider = _sessionService.GetActiveSessions("connection-1").Sessions.ToList();
+        var member = _sessionService.GetActiveSessions("connection-3").Sessions.ToList();
+
+        // Assert
+        outsider.Should().ContainSingle(s => !s.IsPrivate);
+        member.Should().HaveCount(2);
+        member.Should().Contain(s => s.Id == privateSession.Id && s.IsPrivate);
+    }
+
+    [Fact]
+    public void GetActiveSessions_PrivateSessions_ShouldCountTowardMaxSessions()
+    {
+        // Arrange - fill the server with private sessions (6)
+        for (int i = 0; i < 6; i++)
+            _sessionService.CreateSession($"connection-{i}", 1.5, isPrivate: true);
+
+        // Act
+        var result = _sessionService.GetActiveSessions("connection-outsider");
+
+        // Assert
+        result.Sessions.Should().BeEmpty();
+        result.CanCreateSession.Should().BeFalse();
+    }
+
+    [Fact]
+    public void SetDisplayName_ShouldTrimAndCollapseWhitespace()
+    {
+        // Arrange
+        _sessionService.CreateSession("connection-1", 1.5);
+
+        // Act
+        var member = _sessionService.SetDisplayName("connection-1", "  Space \t  Ace\u0007 ");
+
+        // Assert
+        member.Should().NotBeNull();
+        member!.DisplayName.Should().Be("Space Ace");
+    }
+
+    [Fact]
+    public void SetDisplayName_TooLong_ShouldBeTruncated()
+    {
+        // Arrange
+        _sessionService.CreateSession("connection-1", 1.5);
+
+        // Act
+        var member = _sessionService.SetDisplayName("connection-1", new string('x', 40));
+
+        // Assert
+        member!.DisplayName.Should().HaveLength(SessionService.MaxDisplayNameLength);
+    }
+
+    [Fact]
+    public void SetDisplayName_Blank_ShouldBeRejected()
+    {
+        // Arrange
+        var creator = _sessionService.CreateSession("connection-1", 1.5).Creator!;
+        _sessionService.SetDisplayName("connection-1", "Ace");
+
+        // Act
+        var member = _sessionService.SetDisplayName("connection-1", " \u200B ");
+
+        // Assert
+        member.Should().BeNull();
+        creator.DisplayName.Should().Be("Ace");
+        _sessionService.SetDisplayName("connection-unknown", "Ace").Should().BeNull();
+    }
+
+    [Fact]
+    public void SetReady_Spectator_ShouldBeRejected()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.JoinSession(session.Id, "connection-2", asSpectator: true);
+
+        // Act
+        var result = _sessionService.SetReady("connection-2", true);
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public void AreAllPlayersReady_ShouldOnlyWaitForConnectedClients()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.JoinSession(session.Id, "connection-2");
+        _sessionService.JoinSession(session.Id, "connection-3");
+        _sessionService.JoinSession(session.Id, "connection-4", asSpectator: true);
+
+        // Act & Assert - server and spectator flags don't matter
+        _sessionService.AreAllPlayersReady(session.Id).Should().BeFalse();
+        _sessionService.SetReady("connection-2", true);
+        _sessionService.AreAllPlayersReady(session.Id).Should().BeFalse();
+        _sessionService.SetReady("connection-3", true);
+        _sessionService.AreAllPlayersReady(session.Id).Should().BeTrue();
+
+        // A player whose connection dropped doesn't hold up the start
+        _sessionService.SetReady("connection-3", false);
+        _sessionService.DisconnectMember("connection-3");
+        _sessionService.AreAllPlayersReady(session.Id).Should().BeTrue();
+    }
+
+    [Fact]
+    public void KickMember_ShouldRemoveMember()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+
+        // Act
+        var result = _sessionService.KickMember(client.Id);
+
+        // Assert
+        result!.MemberId.Should().Be(client.Id);
+        session.Members.Should().NotContainKey(client.Id);
+        session.PlayerCount.Should().Be(1);
+        _sessionService.GetMemberByConnectionId("connection-2").Should().BeNull();
+    }
+
+    [Fact]
+    public void JoinSession_LockedSession_ShouldRejectPlayersAndSpectators()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        _sessionService.SetSessionLocked(session.Id, true);
+
+        // Act
+        var player = _sessionService.JoinSession(session.Id, "connection-2");
+        var spectator = _sessionService.JoinSession(session.Id, "connection-3", asSpectator: true);
+
+        // Assert
+        player.Success.Should().BeFalse();
+        player.ErrorMessage.Should().Be("Session is locked");
+        spectator.Success.Should().BeFalse();
+
+        _sessionService.SetSessionLocked(session.Id, false);
+        _sessionService.JoinSession(session.Id, "connection-2").Success.Should().BeTrue();
+    }
+
+    [Fact]
+    public void ResumeSession_LockedSession_ShouldStillSucceed()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+        var client = _sessionService.JoinSession(session.Id, "connection-2").Member!;
+        _sessionService.DisconnectMember("connection-2");
+        _sessionService.SetSessionLocked(session.Id, true);
+
+        // Act
+        var result = _sessionService.ResumeSession(session.Id, client.Id, client.ResumeToken, "connection-3");
+
+        // Assert
+        result.Success.Should().BeTrue();
+        client.IsConnected.Should().BeTrue();
+    }
+
+    [Fact]
+    public void CreateSession_WithRules_ShouldStoreThem()
+    {
+        // Arrange
+        var rules = new SessionRules { Lives = 3, Difficulty = "hard", FriendlyFire = true, MaxPlayers = 2, GameMode = "survival" };
+
+        // Act
+        var result = _sessionService.CreateSession("connection-1", 1.5, rules: rules);
+
+        // Assert
+        result.Success.Should().BeTrue();
+        result.Session!.Rules.Should().BeSameAs(rules);
+        _sessionService.GetActiveSessions().Sessions.Single().MaxMembers.Should().Be(2);
+    }
+
+    [Fact]
+    public void CreateSession_WithoutRules_ShouldUseDefaults()
+    {
+        // Act
+        var session = _sessionService.CreateSession("connection-1", 1.5).Session!;
+
+        // Assert
+        session.Rules.GameMode.Should().Be("classic");
+        session.Rules.Difficulty.Should().Be("normal");
+        session.Rules.MaxPlayers.Should().Be(_sessionService.MaxMembersPerSession);
+    }
+
+    [Theory]
+    [InlineData(0, "normal", 4, "classic")]
+    [InlineData(10, "normal", 4, "classic")]
+    [InlineData(6, "nightmare", 4, "classic")]
+    [InlineData(6, "normal", 5, "classic")]
+    [InlineData(6, "normal", 0, "classic")]
+    [InlineData(6, "normal", 4, "deathmatch")]
+    public void CreateSession_InvalidRules_ShouldFail(int lives, string difficulty, int maxPlayers, string gameMode)
+    {
+        // Arrange
+        var rules = new SessionRules { Lives = lives, Difficulty = difficulty, MaxPlayers = maxPlayers, GameMode = gameMode };
+
+        // Act
+        var result = _sessionService.CreateSession("connection-1", 1.5, rules: rules);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().NotBeNullOrEmpty();
+        _sessionService.GetMemberByConnectionId("connection-1").Should().BeNull();
+    }
+
+    [Fact]
+    public void JoinSession_ShouldRespectSessionMaxPlayers()
+    {
+        // Arrange
+        var session = _sessionService.CreateSession("connection-1", 1.5, rules: new SessionRules { MaxPlayers = 2 }).Session!;
+        _sessionService.JoinSession(session.Id, "connection-2");
+
+        // Act
+        var result = _sessionService.JoinSession(session.Id, "connection-3");
+        var spectator = _sessionService.JoinSession(session.Id, "connection-4", asSpectator: true);
+
+        // Assert
+        result.Success.Should().BeFalse();
+        spectator.Success.Should().BeTrue();
+    }
 }
@@ -0,0 +1,24 @@
+namespace AstervoidsWeb.Configuration;
+
+/// <summary>
+/// Configuration settings for in-session text chat.
+/// </summary>
+public class ChatSettings
+{
+    public const string SectionName = "Chat";
+
+    /// <summary>
+    /// Longest chat message accepted, in characters. Default is 120.
+    /// </summary>
+    public int MaxMessageLength { get; set; } = 120;
+
+    /// <summary>
+    /// Number of messages a member can send within <see cref="RateLimitWindowSeconds"/>. Default is 5.
+    /// </summary>
+    public int MaxMessagesPerWindow { get; set; } = 5;
+
+    /// <summary>
+    /// Length of the sliding window used for chat rate limiting, in seconds. Default is 10.
+    /// </summary>
+    public int RateLimitWindowSeconds { get; set; } = 10;
+}
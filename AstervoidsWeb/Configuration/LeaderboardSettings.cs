@@ -0,0 +1,20 @@
+namespace AstervoidsWeb.Configuration;
+
+/// <summary>
+/// Configuration settings for the multiplayer leaderboard.
+/// </summary>
+public class LeaderboardSettings
+{
+    public const string SectionName = "Leaderboard";
+
+    /// <summary>
+    /// Maximum number of entries kept on the leaderboard. Lower scores are dropped. Default is 100.
+    /// </summary>
+    public int MaxEntries { get; set; } = 100;
+
+    /// <summary>
+    /// Path of a JSON file used to persist the leaderboard across restarts.
+    /// When empty, entries are only kept in memory. Default is empty.
+    /// </summary>
+    public string? FilePath { get; set; }
+}
@@ -13,10 +13,21 @@ public class SessionSettings
     public int MaxSessions { get; set; } = 6;
 
     /// <summary>
-    /// Maximum number of members per session. Default is 4.
+    /// Maximum number of players per session (spectators are not counted). Default is 4.
     /// </summary>
     public int MaxMembersPerSession { get; set; } = 4;
 
+    /// <summary>
+    /// Maximum number of spectators per session. Default is 8.
+    /// </summary>
+    public int MaxSpectatorsPerSession { get; set; } = 8;
+
+    /// <summary>
+    /// Seconds a member whose connection dropped keeps its place (and its ship) while it
+    /// tries to reconnect. Zero treats every disconnect as leaving. Default is 30.
+    /// </summary>
+    public int ReconnectGracePeriodSeconds { get; set; } = 30;
+
     /// <summary>
     /// When true, distributes orphaned Session-scoped objects round-robin across remaining members
     /// on member departure. When false, all objects go to a single member. Default is true.
@@ -11,18 +11,33 @@ public class SessionHub : Hub
 {
     private readonly ISessionService _sessionService;
     private readonly IObjectService _objectService;
+    private readonly ILeaderboardService _leaderboardService;
+    private readonly IChatService _chatService;
     private readonly ILogger<SessionHub> _logger;
 
     // Group name for all connected clients to receive session list updates
     private const string AllClientsGroup = "AllClients";
 
+    // Data["type"] of collectible power-up objects (see CollectPowerUp)
+    private const string PowerUpObjectType = "powerup";
+
+    // What a ReportScore hit can be credited to in per-player stats
+    private static readonly HashSet<string> ScoreTargets = new(StringComparer.Ordinal)
+    {
+        "large", "medium", "small", "saucer"
+    };
+
     public SessionHub(
         ISessionService sessionService,
         IObjectService objectService,
+        ILeaderboardService leaderboardService,
+        IChatService chatService,
         ILogger<SessionHub> logger)
     {
         _sessionService = sessionService;
         _objectService = objectService;
+        _leaderboardService = leaderboardService;
+        _chatService = chatService;
         _logger = logger;
     }
 
@@ -39,9 +54,19 @@ public class SessionHub : Hub
     /// Creates a new session and joins as the server.
     /// </summary>
     /// <param name="aspectRatio">The aspect ratio (width/height) to lock for this session.</param>
-    public async Task<CreateSessionResponse?> CreateSession(double aspectRatio)
+    /// <param name="isPrivate">True to hide the session from the list; others join with its code.</param>
+    /// <param name="rules">Rules for the session (lives, difficulty, friendly fire, player cap, mode).
+    /// Invalid rules fail the creation; null uses the defaults.</param>
+    public async Task<CreateSessionResponse?> CreateSession(double aspectRatio, bool isPrivate, SessionRulesInfo? rules)
     {
-        var result = _sessionService.CreateSession(Context.ConnectionId, aspectRatio);
+        var result = _sessionService.CreateSession(Context.ConnectionId, aspectRatio, isPrivate, rules == null ? null : new SessionRules
+        {
+            Lives = rules.Lives,
+            Difficulty = rules.Difficulty,
+            FriendlyFire = rules.FriendlyFire,
+            MaxPlayers = rules.MaxPlayers,
+            GameMode = rules.GameMode
+        });
 
         if (!result.Success)
         {
@@ -66,16 +91,45 @@ public class SessionHub : Hub
             session.Name,
             creator.Id,
             creator.Role.ToString(),
-            session.AspectRatio
+            session.AspectRatio,
+            creator.ResumeToken,
+            session.JoinCode,
+            session.IsPrivate,
+            ToSessionRulesInfo(session.Rules)
         );
     }
 
     /// <summary>
     /// Joins an existing session as a client.
     /// </summary>
-    public async Task<JoinSessionResponse?> JoinSession(Guid sessionId)
+    public Task<JoinSessionResponse?> JoinSession(Guid sessionId) => JoinSessionAs(sessionId, asSpectator: false);
+
+    /// <summary>
+    /// Joins an existing session as a spectator. Spectators don't count toward the
+    /// player cap, so they can watch sessions that are full or already running.
+    /// </summary>
+    public Task<JoinSessionResponse?> SpectateSession(Guid sessionId) => JoinSessionAs(sessionId, asSpectator: true);
+
+    /// <summary>
+    /// Joins a session as a client using its join code. This is the only way into a
+    /// private session.
+    /// </summary>
+    /// <param name="joinCode">The code shared by a member of the session.</param>
+    public async Task<JoinSessionResponse?> JoinSessionByCode(string joinCode)
+    {
+        var session = _sessionService.GetSessionByJoinCode(joinCode ?? string.Empty);
+        if (session == null)
+        {
+            _logger.LogWarning("Failed to join session by code - no session with code {JoinCode}", joinCode);
+            return null;
+        }
+
+        return await JoinSessionAs(session.Id, asSpectator: false);
+    }
+
+    private async Task<JoinSessionResponse?> JoinSessionAs(Guid sessionId, bool asSpectator)
     {
-        var result = _sessionService.JoinSession(sessionId, Context.ConnectionId);
+        var result = _sessionService.JoinSession(sessionId, Context.ConnectionId, asSpectator);
         if (!result.Success)
         {
             _logger.LogWarning("Failed to join session {SessionId}: {Error}", sessionId, result.ErrorMessage);
@@ -88,21 +142,63 @@ public class SessionHub : Hub
         await Groups.AddToGroupAsync(Context.ConnectionId, session.Id.ToString());
 
         // Notify other members
-        await Clients.OthersInGroup(session.Id.ToString()).SendAsync("OnMemberJoined", new MemberInfo(
-            member.Id,
-            member.Role.ToString(),
-            member.JoinedAt
-        ));
+        await Clients.OthersInGroup(session.Id.ToString()).SendAsync("OnMemberJoined", ToMemberInfo(member));
 
         _logger.LogInformation(
-            "Member {MemberId} joined session {SessionName} ({SessionId})",
-            member.Id, session.Name, session.Id);
+            "Member {MemberId} joined session {SessionName} ({SessionId}) as {Role}",
+            member.Id, session.Name, session.Id, member.Role);
 
         // Broadcast session list update to all connected clients
         await BroadcastSessionsChanged();
 
         // Return session state including existing objects
-        var members = session.Members.Values.Select(m => new MemberInfo(m.Id, m.Role.ToString(), m.JoinedAt));
+        return ToJoinSessionResponse(session, member);
+    }
+
+    /// <summary>
+    /// Reclaims a member's place after its connection dropped, using the resume token
+    /// handed out when it created or joined the session. The member gets back its role
+    /// (unless the server role moved on while it was away) and its own objects.
+    /// This also works before the server has noticed the old connection dropped: the new one takes over.
+    /// </summary>
+    /// <param name="sessionId">The session the member belonged to.</param>
+    /// <param name="memberId">The member to resume.</param>
+    /// <param name="resumeToken">The member's resume token.</param>
+    public async Task<JoinSessionResponse?> ResumeSession(Guid sessionId, Guid memberId, string resumeToken)
+    {
+        var result = _sessionService.ResumeSession(sessionId, memberId, resumeToken, Context.ConnectionId);
+        if (!result.Success)
+        {
+            _logger.LogWarning("Failed to resume member {MemberId} in session {SessionId}: {Error}", memberId, sessionId, result.ErrorMessage);
+            return null;
+        }
+
+        var session = result.Session!;
+        var member = result.Member!;
+
+        // The old connection, if it was still open, no longer receives the session's messages
+        if (result.ReplacedConnectionId != null)
+        {
+            await Groups.RemoveFromGroupAsync(result.ReplacedConnectionId, session.Id.ToString());
+        }
+        await Groups.AddToGroupAsync(Context.ConnectionId, session.Id.ToString());
+
+        // Notify other members
+        await Clients.OthersInGroup(session.Id.ToString()).SendAsync("OnMemberResumed", ToMemberInfo(member));
+
+        _logger.LogInformation(
+            "Member {MemberId} resumed session {SessionName} ({SessionId}) as {Role}",
+            member.Id, session.Name, session.Id, member.Role);
+
+        return ToJoinSessionResponse(session, member);
+    }
+
+    private static MemberInfo ToMemberInfo(Member member) =>
+        new(member.Id, member.Role.ToString(), member.JoinedAt, member.DisplayName, member.IsReady);
+
+    private static JoinSessionResponse ToJoinSessionResponse(Session session, Member member)
+    {
+        var members = session.Members.Values.Select(ToMemberInfo);
         var objects = session.Objects.Values.Select(o => new ObjectInfo(
             o.Id, o.CreatorMemberId, o.OwnerMemberId, o.Scope.ToString(), o.Data, o.Version));
 
@@ -114,10 +210,18 @@ public class SessionHub : Hub
             members,
             objects,
             session.AspectRatio,
-            session.GameStarted
+            session.GameStarted,
+            member.ResumeToken,
+            session.JoinCode,
+            session.IsPrivate,
+            session.IsLocked,
+            ToSessionRulesInfo(session.Rules)
         );
     }
 
+    private static SessionRulesInfo ToSessionRulesInfo(SessionRules rules) => new(
+        rules.Lives, rules.Difficulty, rules.FriendlyFire, rules.MaxPlayers, rules.GameMode);
+
     /// <summary>
     /// Leaves the current session.
     /// </summary>
@@ -130,25 +234,46 @@ public class SessionHub : Hub
             return;
         }
 
-        // Handle object cleanup — gather remaining member IDs for round-robin distribution
+        await Groups.RemoveFromGroupAsync(Context.ConnectionId, result.SessionId.ToString());
+        await CompleteDepartureAsync(Clients, Groups, _sessionService, _objectService, _logger, result);
+    }
+
+    /// <summary>
+    /// Finishes a member's departure once it has been removed from its session: deletes or
+    /// migrates its objects and notifies the session and the session list. Also used by
+    /// <see cref="ReconnectGraceService"/> for members that never reconnected.
+    /// </summary>
+    internal static async Task CompleteDepartureAsync(
+        IHubClients<IClientProxy> clients,
+        IGroupManager groups,
+        ISessionService sessionService,
+        IObjectService objectService,
+        ILogger logger,
+        LeaveSessionResult result)
+    {
+        var sessionGroup = clients.Group(result.SessionId.ToString());
+
+        // Handle object cleanup — gather remaining players for round-robin distribution
+        // (spectators never own objects; players waiting to reconnect only as a last resort)
         var remainingMemberIds = new List<Guid>();
         if (!result.SessionDestroyed)
         {
-            var session = _sessionService.GetSession(result.SessionId);
+            var session = sessionService.GetSession(result.SessionId);
             if (session != null)
             {
-                remainingMemberIds = session.Members.Keys.ToList();
+                var players = session.Members.Values.Where(m => m.Role != MemberRole.Spectator).ToList();
+                remainingMemberIds = (players.Any(m => m.IsConnected) ? players.Where(m => m.IsConnected) : players)
+                    .Select(m => m.Id)
+                    .ToList();
             }
         }
-        var departureResult = _objectService.HandleMemberDeparture(
+        var departureResult = objectService.HandleMemberDeparture(
             result.SessionId, result.MemberId, remainingMemberIds);
 
-        await Groups.RemoveFromGroupAsync(Context.ConnectionId, result.SessionId.ToString());
-
         if (!result.SessionDestroyed)
         {
             // Notify remaining members with enriched departure info
-            await Clients.Group(result.SessionId.ToString()).SendAsync("OnMemberLeft", new MemberLeftInfo(
+            await sessionGroup.SendAsync("OnMemberLeft", new MemberLeftInfo(
                 result.MemberId,
                 result.PromotedMember?.Id,
                 result.PromotedMember?.Role.ToString(),
@@ -158,7 +283,7 @@ public class SessionHub : Hub
 
             if (result.PromotedMember != null)
             {
-                _logger.LogInformation(
+                logger.LogInformation(
                     "Member {PromotedMemberId} promoted to Server in session {SessionName}. Migrated {MigratedCount} objects, deleted {DeletedCount} objects.",
                     result.PromotedMember.Id, result.SessionName,
                     departureResult.MigratedObjects.Count(),
@@ -168,22 +293,62 @@ public class SessionHub : Hub
             // Emit OnObjectTypeEmpty for any types that became empty after departure
             foreach (var objectType in departureResult.AffectedTypes)
             {
-                if (_objectService.GetObjectCountByType(result.SessionId, objectType) == 0)
+                if (objectService.GetObjectCountByType(result.SessionId, objectType) == 0)
                 {
-                    await Clients.Group(result.SessionId.ToString()).SendAsync("OnObjectTypeEmpty", objectType);
+                    await sessionGroup.SendAsync("OnObjectTypeEmpty", objectType);
                 }
             }
         }
         else
         {
-            _logger.LogInformation("Session {SessionName} ({SessionId}) destroyed - no members remaining",
+            // Spectators left watching an empty session are sent back to the picker
+            foreach (var spectator in result.RemovedSpectators ?? [])
+            {
+                await clients.Client(spectator.ConnectionId).SendAsync("OnSessionEnded", result.SessionId);
+                await groups.RemoveFromGroupAsync(spectator.ConnectionId, result.SessionId.ToString());
+            }
+
+            logger.LogInformation("Session {SessionName} ({SessionId}) destroyed - no players remaining",
                 result.SessionName, result.SessionId);
         }
 
-        _logger.LogInformation("Member {MemberId} left session {SessionName}", result.MemberId, result.SessionName);
+        logger.LogInformation("Member {MemberId} left session {SessionName}", result.MemberId, result.SessionName);
 
         // Broadcast session list update to all connected clients
-        await BroadcastSessionsChanged();
+        await clients.Group(AllClientsGroup).SendAsync("OnSessionsChanged");
+    }
+
+    /// <summary>
+    /// Holds the place of a member whose connection dropped so it can resume.
+    /// Objects it owned for the session move to connected players so the game keeps
+    /// running; its own objects (its ship) wait for it to come back.
+    /// </summary>
+    private async Task DisconnectMember()
+    {
+        var result = _sessionService.DisconnectMember(Context.ConnectionId);
+        if (result == null)
+        {
+            return;
+        }
+
+        var session = _sessionService.GetSession(result.SessionId);
+        var connectedPlayerIds = session?.Members.Values
+            .Where(m => m.Role != MemberRole.Spectator && m.IsConnected)
+            .Select(m => m.Id)
+            .ToList() ?? [];
+        var departureResult = _objectService.HandleMemberDeparture(
+            result.SessionId, result.Member.Id, connectedPlayerIds, keepMemberObjects: true);
+
+        await Clients.Group(result.SessionId.ToString()).SendAsync("OnMemberDisconnected", new MemberDisconnectedInfo(
+            result.Member.Id,
+            result.PromotedMember?.Id,
+            result.PromotedMember?.Role.ToString(),
+            departureResult.MigratedObjects
+        ));
+
+        _logger.LogInformation(
+            "Member {MemberId} disconnected from session {SessionId}; waiting {GracePeriod} for it to resume",
+            result.Member.Id, result.SessionId, _sessionService.ReconnectGracePeriod);
     }
 
     /// <summary>
@@ -191,18 +356,191 @@ public class SessionHub : Hub
     /// </summary>
     public ActiveSessionsResponse GetActiveSessions()
     {
-        var result = _sessionService.GetActiveSessions();
+        var result = _sessionService.GetActiveSessions(Context.ConnectionId);
         return new ActiveSessionsResponse(
-            result.Sessions.Select(s => new SessionListItem(s.Id, s.Name, s.MemberCount, s.MaxMembers, s.CreatedAt, s.GameStarted)),
+            result.Sessions.Select(s => new SessionListItem(s.Id, s.Name, s.MemberCount, s.MaxMembers, s.CreatedAt, s.GameStarted, s.SpectatorCount, s.IsPrivate, s.IsLocked)),
             result.MaxSessions,
-            result.CanCreateSession
+            result.CanCreateSession,
+            _sessionService.MaxMembersPerSession
         );
     }
 
     /// <summary>
-    /// Starts the game in the current session. Only the server can call this.
+    /// Sets the caller's display name and shares it with the session.
+    /// </summary>
+    /// <param name="displayName">The requested name; it is cleaned up and length-limited.</param>
+    /// <returns>The name as stored, or null if it was rejected.</returns>
+    public async Task<string?> SetDisplayName(string displayName)
+    {
+        var member = _sessionService.SetDisplayName(Context.ConnectionId, displayName);
+        if (member == null)
+        {
+            _logger.LogWarning("SetDisplayName failed - connection {ConnectionId} not in a session or name is empty", Context.ConnectionId);
+            return null;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnMemberUpdated", ToMemberInfo(member));
+        return member.DisplayName;
+    }
+
+    /// <summary>
+    /// Marks the caller ready (or not) in the lobby. Spectators can't ready up.
+    /// </summary>
+    /// <param name="ready">Whether the player is ready to start.</param>
+    public async Task<bool> SetReady(bool ready)
+    {
+        var member = _sessionService.SetReady(Context.ConnectionId, ready);
+        if (member == null)
+        {
+            _logger.LogWarning("SetReady failed - connection {ConnectionId} is not a player in a session", Context.ConnectionId);
+            return false;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnMemberUpdated", ToMemberInfo(member));
+        return true;
+    }
+
+    /// <summary>
+    /// Sends a chat message (or quick emote) to everyone in the caller's session, spectators included.
+    /// Messages are length-limited and rate limited per member.
+    /// </summary>
+    /// <param name="text">The message text.</param>
+    /// <returns>True if the message was accepted and broadcast.</returns>
+    public async Task<bool> SendChat(string text)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("SendChat failed - member not found for connection {ConnectionId}", Context.ConnectionId);
+            return false;
+        }
+
+        var now = DateTime.UtcNow;
+        var result = _chatService.SubmitMessage(member.Id, text, now);
+        if (!result.Success)
+        {
+            _logger.LogWarning("SendChat from {MemberId} rejected: {Error}", member.Id, result.ErrorMessage);
+            return false;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnChatMessage",
+            new ChatMessageInfo(member.Id, member.DisplayName, result.Text!, now));
+        return true;
+    }
+
+    /// <summary>
+    /// Removes a member from the caller's session. Only the server can kick. The player
+    /// can join again like anyone else; locking the session keeps them out.
+    /// </summary>
+    /// <param name="memberId">The member to remove.</param>
+    public async Task<bool> KickMember(Guid memberId)
+    {
+        var host = GetServerMember("KickMember");
+        if (host == null)
+        {
+            return false;
+        }
+
+        var session = _sessionService.GetSession(host.SessionId);
+        if (memberId == host.Id || session == null || !session.Members.TryGetValue(memberId, out var target))
+        {
+            _logger.LogWarning("KickMember failed - member {TargetId} is not another member of session {SessionId}", memberId, host.SessionId);
+            return false;
+        }
+
+        var result = _sessionService.KickMember(memberId);
+        if (result == null)
+        {
+            return false;
+        }
+
+        await Clients.Client(target.ConnectionId).SendAsync("OnKicked", result.SessionId);
+        await Groups.RemoveFromGroupAsync(target.ConnectionId, result.SessionId.ToString());
+        await CompleteDepartureAsync(Clients, Groups, _sessionService, _objectService, _logger, result);
+        return true;
+    }
+
+    /// <summary>
+    /// Hands the server role to another player. The objects the caller owned for the
+    /// session move to the new server, which takes over exactly as if it had been promoted.
+    /// </summary>
+    /// <param name="memberId">The connected client to become the server.</param>
+    public async Task<bool> TransferHost(Guid memberId)
+    {
+        var host = GetServerMember("TransferHost");
+        if (host == null)
+        {
+            return false;
+        }
+
+        var newServer = _sessionService.TransferServerRole(host.Id, memberId);
+        if (newServer == null)
+        {
+            return false;
+        }
+
+        var departureResult = _objectService.HandleMemberDeparture(
+            host.SessionId, host.Id, [newServer.Id], keepMemberObjects: true);
+
+        await Clients.Group(host.SessionId.ToString()).SendAsync("OnHostTransferred", new HostTransferredInfo(
+            host.Id,
+            newServer.Id,
+            departureResult.MigratedObjects
+        ));
+
+        _logger.LogInformation("Member {MemberId} handed the server role to {NewServerId}. Migrated {MigratedCount} objects.",
+            host.Id, newServer.Id, departureResult.MigratedObjects.Count());
+        return true;
+    }
+
+    /// <summary>
+    /// Locks the caller's session against new players and spectators, or unlocks it.
+    /// Members waiting to reconnect can always resume.
+    /// </summary>
+    /// <param name="locked">Whether the session should be locked.</param>
+    public async Task<bool> SetSessionLocked(bool locked)
+    {
+        var host = GetServerMember("SetSessionLocked");
+        if (host == null || !_sessionService.SetSessionLocked(host.SessionId, locked))
+        {
+            return false;
+        }
+
+        await Clients.Group(host.SessionId.ToString()).SendAsync("OnSessionLockChanged", locked);
+        await BroadcastSessionsChanged();
+
+        _logger.LogInformation("Session {SessionId} {State} by member {MemberId}",
+            host.SessionId, locked ? "locked" : "unlocked", host.Id);
+        return true;
+    }
+
+    /// <summary>
+    /// Looks up the caller and checks that it holds the server role, logging why not.
+    /// </summary>
+    private Member? GetServerMember(string operation)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("{Operation} failed - member not found for connection {ConnectionId}", operation, Context.ConnectionId);
+            return null;
+        }
+
+        if (member.Role != MemberRole.Server)
+        {
+            _logger.LogWarning("{Operation} failed - member {MemberId} is not the server", operation, member.Id);
+            return null;
+        }
+
+        return member;
+    }
+
+    /// <summary>
+    /// Starts the game in the current session. Only the server can call this, and only
+    /// once every player is ready unless it forces the start.
     /// </summary>
-    public async Task<bool> StartGame()
+    /// <param name="force">Start even if some players aren't ready.</param>
+    public async Task<bool> StartGame(bool force)
     {
         var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
         if (member == null)
@@ -230,7 +568,14 @@ public class SessionHub : Hub
             return false;
         }
 
+        if (!force && !_sessionService.AreAllPlayersReady(session.Id))
+        {
+            _logger.LogWarning("StartGame failed - not every player in session {SessionId} is ready", session.Id);
+            return false;
+        }
+
         session.GameStarted = true;
+        session.GameStartedAt = DateTime.UtcNow;
         _logger.LogInformation("Game started in session {SessionName} ({SessionId}) by server {MemberId}",
             session.Name, session.Id, member.Id);
 
@@ -243,6 +588,81 @@ public class SessionHub : Hub
         return true;
     }
 
+    /// <summary>
+    /// Records the session's final score on the leaderboard when the game is over.
+    /// Only the server can call this, once per game. Member count and duration are
+    /// taken from the session rather than trusted from the client.
+    /// </summary>
+    /// <param name="score">The final shared score.</param>
+    /// <param name="wave">The highest wave reached.</param>
+    public async Task<SubmitScoreResponse?> SubmitScore(int score, int wave)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("SubmitScore failed - member not found for connection {ConnectionId}", Context.ConnectionId);
+            return null;
+        }
+
+        if (member.Role != MemberRole.Server)
+        {
+            _logger.LogWarning("SubmitScore failed - member {MemberId} is not the server", member.Id);
+            return null;
+        }
+
+        var session = _sessionService.GetSession(member.SessionId);
+        if (session == null)
+        {
+            _logger.LogWarning("SubmitScore failed - session not found for member {MemberId}", member.Id);
+            return null;
+        }
+
+        if (!session.GameStarted)
+        {
+            _logger.LogWarning("SubmitScore failed - game not started in session {SessionId}", session.Id);
+            return null;
+        }
+
+        lock (session.PromotionLock)
+        {
+            if (session.ScoreSubmitted)
+            {
+                _logger.LogWarning("SubmitScore failed - score already submitted for session {SessionId}", session.Id);
+                return null;
+            }
+            session.ScoreSubmitted = true;
+        }
+
+        var duration = DateTime.UtcNow - (session.GameStartedAt ?? session.CreatedAt);
+        var result = _leaderboardService.SubmitScore(session.Name, score, wave, session.PlayerCount, duration);
+        if (!result.Success || result.Entry == null)
+        {
+            _logger.LogWarning("SubmitScore failed: {Error}", result.ErrorMessage);
+            return null;
+        }
+
+        if (result.Rank.HasValue)
+        {
+            await Clients.Group(AllClientsGroup).SendAsync("OnLeaderboardChanged");
+        }
+
+        return new SubmitScoreResponse(ToLeaderboardEntryInfo(result.Entry), result.Rank);
+    }
+
+    /// <summary>
+    /// Gets the top multiplayer session scores, best first.
+    /// </summary>
+    /// <param name="count">Maximum number of entries to return (clamped to the leaderboard size).</param>
+    public LeaderboardResponse GetLeaderboard(int count = 10)
+    {
+        var clamped = Math.Clamp(count, 1, _leaderboardService.MaxEntries);
+        var entries = _leaderboardService.GetTopScores(clamped);
+        return new LeaderboardResponse(entries.Select(ToLeaderboardEntryInfo));
+    }
+
+    private static LeaderboardEntryInfo ToLeaderboardEntryInfo(LeaderboardEntry entry) =>
+        new(entry.Id, entry.SessionName, entry.Score, entry.Wave, entry.MemberCount, entry.DurationSeconds, entry.RecordedAt);
+
     /// <summary>
     /// Broadcasts a signal to all connected clients that the session list has changed.
     /// Clients should call GetActiveSessions() to fetch updated data.
@@ -274,10 +694,11 @@ public class SessionHub : Hub
             ownerGuid = parsed;
         }
 
-        var obj = _objectService.CreateObject(member.SessionId, member.Id, objectScope, data, ownerGuid);
+        var obj = _objectService.CreateObject(member.SessionId, member.Id, objectScope, ObjectDataNormalizer.Normalize(data), ownerGuid);
         if (obj == null)
         {
-            _logger.LogWarning("CreateObject failed - could not create object in session");
+            _logger.LogWarning("CreateObject failed - could not create object in session (member {MemberId}, role {Role})",
+                member.Id, member.Role);
             return null;
         }
 
@@ -301,33 +722,84 @@ public class SessionHub : Hub
     /// <summary>
     /// Updates multiple objects atomically.
     /// Only allows updates to objects owned by the caller (Server role can update any object).
+    /// Updates may carry only the fields that changed: they are merged into the stored data,
+    /// and only those fields are broadcast for clients to merge into their own copy.
+    /// Several updates to one object in a batch are merged (later fields win) and answered as one.
+    /// Updates that are not applied come back as rejected ("VersionConflict", "NotOwner" or "NotFound"),
+    /// with the object's current state (null when it no longer exists) so the caller can reconcile its copy.
     /// </summary>
-    public async Task<IEnumerable<ObjectInfo>> UpdateObjects(IEnumerable<ObjectUpdateRequest> updates)
+    public async Task<UpdateObjectsResponse?> UpdateObjects(IEnumerable<ObjectUpdateRequest> updates)
     {
         var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
         if (member == null)
         {
             _logger.LogWarning("UpdateObjects failed - member not found for connection {ConnectionId}", Context.ConnectionId);
-            return Enumerable.Empty<ObjectInfo>();
+            return null;
         }
 
         var isServer = member.Role == MemberRole.Server;
 
-        // Filter to only objects owned by the caller (Server can update any object)
+        // Filter to only objects owned by the caller (Server can update any object).
+        // Each object is applied once per batch, so its broadcast carries exactly the fields applied:
+        // a repeated object's fields are merged into its first update, or share its rejection.
         var authorizedUpdates = new List<ObjectUpdate>();
+        var changedFields = new Dictionary<Guid, Dictionary<string, object?>>();
+        var rejected = new List<RejectedUpdateInfo>();
         foreach (var u in updates)
         {
+            if (changedFields.TryGetValue(u.ObjectId, out var merged))
+            {
+                foreach (var kvp in ObjectDataNormalizer.Normalize(u.Data))
+                {
+                    merged[kvp.Key] = kvp.Value;
+                }
+                continue;
+            }
+
+            if (rejected.Any(r => r.ObjectId == u.ObjectId))
+                continue;
+
             var obj = _objectService.GetObject(member.SessionId, u.ObjectId);
-            if (obj != null && (obj.OwnerMemberId == member.Id || isServer))
+            if (obj == null)
             {
-                authorizedUpdates.Add(new ObjectUpdate(u.ObjectId, u.Data, u.ExpectedVersion));
+                rejected.Add(new RejectedUpdateInfo(u.ObjectId, "NotFound", null));
+            }
+            else if (obj.OwnerMemberId != member.Id && !isServer)
+            {
+                rejected.Add(new RejectedUpdateInfo(u.ObjectId, "NotOwner", ToObjectInfo(obj)));
+            }
+            else
+            {
+                // The service re-checks the owner, in case the object changes hands before it applies the update
+                var data = ObjectDataNormalizer.Normalize(u.Data);
+                authorizedUpdates.Add(new ObjectUpdate(u.ObjectId, data, u.ExpectedVersion, isServer ? null : member.Id));
+                changedFields[u.ObjectId] = data;
             }
         }
 
         var updatedObjects = _objectService.UpdateObjects(member.SessionId, authorizedUpdates);
 
         var objectInfos = updatedObjects.Select(o => new ObjectInfo(
-            o.Id, o.CreatorMemberId, o.OwnerMemberId, o.Scope.ToString(), o.Data, o.Version)).ToList();
+            o.Id, o.CreatorMemberId, o.OwnerMemberId, o.Scope.ToString(), changedFields[o.Id], o.Version)).ToList();
+
+        // Authorized updates the service skipped had a stale expected version
+        // (or lost a race with a delete or an ownership change)
+        var appliedIds = objectInfos.Select(o => o.Id).ToHashSet();
+        foreach (var u in authorizedUpdates.Where(u => !appliedIds.Contains(u.ObjectId)))
+        {
+            var current = _objectService.GetObject(member.SessionId, u.ObjectId);
+            if (current == null)
+                rejected.Add(new RejectedUpdateInfo(u.ObjectId, "NotFound", null));
+            else if (u.ExpectedOwnerId.HasValue && current.OwnerMemberId != u.ExpectedOwnerId.Value)
+                rejected.Add(new RejectedUpdateInfo(u.ObjectId, "NotOwner", ToObjectInfo(current)));
+            else
+                rejected.Add(new RejectedUpdateInfo(u.ObjectId, "VersionConflict", ToObjectInfo(current)));
+        }
+
+        if (rejected.Count > 0)
+        {
+            _logger.LogDebug("UpdateObjects rejected {Count} update(s) from member {MemberId}", rejected.Count, member.Id);
+        }
 
         if (objectInfos.Count > 0)
         {
@@ -335,7 +807,18 @@ public class SessionHub : Hub
             await Clients.Group(member.SessionId.ToString()).SendAsync("OnObjectsUpdated", objectInfos);
         }
 
-        return objectInfos;
+        return new UpdateObjectsResponse(objectInfos, rejected);
+    }
+
+    // Snapshot of an object's full state (the data is copied, as the stored dictionary keeps changing;
+    // the object service makes its changes under the same lock)
+    private static ObjectInfo ToObjectInfo(SessionObject obj)
+    {
+        lock (obj)
+        {
+            return new ObjectInfo(obj.Id, obj.CreatorMemberId, obj.OwnerMemberId, obj.Scope.ToString(),
+                new Dictionary<string, object?>(obj.Data), obj.Version);
+        }
     }
 
     /// <summary>
@@ -351,6 +834,12 @@ public class SessionHub : Hub
             return false;
         }
 
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("DeleteObject rejected - member {MemberId} is a spectator", member.Id);
+            return false;
+        }
+
         // Verify ownership before deleting (Server can delete any object)
         var obj = _objectService.GetObject(member.SessionId, objectId);
         if (obj == null)
@@ -417,7 +906,7 @@ public class SessionHub : Hub
         var createdObjects = new List<SessionObject>();
         foreach (var data in replacements)
         {
-            var obj = _objectService.CreateObject(member.SessionId, member.Id, objectScope, data, ownerGuid);
+            var obj = _objectService.CreateObject(member.SessionId, member.Id, objectScope, ObjectDataNormalizer.Normalize(data), ownerGuid);
             if (obj == null)
             {
                 // Roll back any objects we already created
@@ -472,6 +961,78 @@ public class SessionHub : Hub
         return createdInfos;
     }
 
+    /// <summary>
+    /// Takes over a session-scoped object from its current owner, e.g. an asteroid the caller is closest to.
+    /// The caller passes the owner it last saw: when several members ask for the same object at once,
+    /// only the first gets it. Everyone is notified via OnObjectOwnershipChanged.
+    /// </summary>
+    public async Task<bool> RequestOwnership(Guid objectId, Guid expectedOwnerId)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("RequestOwnership failed - member not found for connection {ConnectionId}", Context.ConnectionId);
+            return false;
+        }
+
+        return await ChangeOwnership(member, objectId, expectedOwnerId, member.Id);
+    }
+
+    /// <summary>
+    /// Hands a session-scoped object to another player.
+    /// Only allows handing over objects owned by the caller (Server role can hand over any object).
+    /// Everyone is notified via OnObjectOwnershipChanged.
+    /// </summary>
+    public async Task<bool> TransferOwnership(Guid objectId, Guid newOwnerId)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("TransferOwnership failed - member not found for connection {ConnectionId}", Context.ConnectionId);
+            return false;
+        }
+
+        var obj = _objectService.GetObject(member.SessionId, objectId);
+        if (obj == null)
+            return false;
+
+        if (obj.OwnerMemberId != member.Id && member.Role != MemberRole.Server)
+        {
+            _logger.LogWarning("TransferOwnership rejected - member {MemberId} does not own object {ObjectId}", member.Id, objectId);
+            return false;
+        }
+
+        return await ChangeOwnership(member, objectId, obj.OwnerMemberId, newOwnerId);
+    }
+
+    private async Task<bool> ChangeOwnership(Member member, Guid objectId, Guid expectedOwnerId, Guid newOwnerId)
+    {
+        var obj = _objectService.GetObject(member.SessionId, objectId);
+        if (obj == null)
+            return false;
+
+        // Member-scoped objects live and die with their owner, so they stay put
+        if (obj.Scope != ObjectScope.Session)
+        {
+            _logger.LogWarning("Ownership change rejected - object {ObjectId} is member-scoped", objectId);
+            return false;
+        }
+
+        var transferred = _objectService.TransferOwnership(member.SessionId, objectId, expectedOwnerId, newOwnerId);
+        if (transferred == null)
+        {
+            _logger.LogDebug("Ownership change of object {ObjectId} to {NewOwnerId} rejected - owner changed or not a player", objectId, newOwnerId);
+            return false;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnObjectOwnershipChanged",
+            new ObjectOwnershipChangedInfo(objectId, expectedOwnerId, newOwnerId, transferred.Version));
+
+        _logger.LogDebug("Object {ObjectId} handed from {PreviousOwnerId} to {NewOwnerId} in session {SessionId}",
+            objectId, expectedOwnerId, newOwnerId, member.SessionId);
+        return true;
+    }
+
     /// <summary>
     /// Handles client disconnection.
     /// </summary>
@@ -482,10 +1043,19 @@ public class SessionHub : Hub
             _logger.LogWarning(exception, "Client disconnected with exception: {ConnectionId}", Context.ConnectionId);
         }
 
-        // Clean up session membership - must not throw to prevent orphaned entries
+        // Clean up session membership - must not throw to prevent orphaned entries.
+        // Session members keep their place for the grace period in case they reconnect.
         try
         {
-            await LeaveSession();
+            if (_sessionService.ReconnectGracePeriod > TimeSpan.Zero &&
+                _sessionService.GetMemberByConnectionId(Context.ConnectionId) != null)
+            {
+                await DisconnectMember();
+            }
+            else
+            {
+                await LeaveSession();
+            }
         }
         catch (Exception ex)
         {
@@ -496,8 +1066,8 @@ public class SessionHub : Hub
     }
 
     /// <summary>
-    /// Reports that a bullet hit an asteroid. Broadcasts to all session members
-    /// so the asteroid owner can process the collision.
+    /// Reports that a bullet hit an asteroid (or another shootable object such as a saucer).
+    /// Broadcasts to all session members so the target's owner can process the collision.
     /// </summary>
     public async Task ReportBulletHit(Guid asteroidObjectId, Guid bulletObjectId)
     {
@@ -508,6 +1078,12 @@ public class SessionHub : Hub
             return;
         }
 
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ReportBulletHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
         // Verify caller owns the bullet and asteroid exists
         var bullet = _objectService.GetObject(member.SessionId, bulletObjectId);
         if (bullet == null || bullet.OwnerMemberId != member.Id)
@@ -541,6 +1117,12 @@ public class SessionHub : Hub
             return;
         }
 
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ConfirmBulletHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
         // Caller should be the asteroid owner, not the bullet owner
         if (member.Id == bulletOwnerMemberId)
         {
@@ -566,6 +1148,12 @@ public class SessionHub : Hub
             return;
         }
 
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("RejectBulletHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
         // Caller should be the asteroid owner, not the bullet owner
         if (member.Id == bulletOwnerMemberId)
         {
@@ -577,11 +1165,118 @@ public class SessionHub : Hub
             new BulletHitRejection(bulletObjectId, bulletOwnerMemberId));
     }
 
+    /// <summary>
+    /// Reports that a bullet hit another player's ship (versus play).
+    /// Broadcasts to all session members so the authority can arbitrate the hit.
+    /// Caller must own the bullet and must not own the ship.
+    /// </summary>
+    public async Task ReportShipBulletHit(Guid shipObjectId, Guid bulletObjectId)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("ReportShipBulletHit failed - member not found");
+            return;
+        }
+
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ReportShipBulletHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
+        var bullet = _objectService.GetObject(member.SessionId, bulletObjectId);
+        if (bullet == null || bullet.OwnerMemberId != member.Id)
+        {
+            _logger.LogWarning("ReportShipBulletHit rejected - member {MemberId} does not own bullet {BulletId}", member.Id, bulletObjectId);
+            return;
+        }
+
+        var ship = _objectService.GetObject(member.SessionId, shipObjectId);
+        if (ship == null || ship.OwnerMemberId == member.Id)
+        {
+            _logger.LogWarning("ReportShipBulletHit rejected - ship {ShipId} not found or owned by the shooter", shipObjectId);
+            return;
+        }
+
+        var session = _sessionService.GetSession(member.SessionId);
+        if (session == null || !session.Rules.AllowsShipHits)
+        {
+            _logger.LogWarning("ReportShipBulletHit rejected - session {SessionId} doesn't allow ship hits", member.SessionId);
+            return;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnShipBulletHitReported",
+            new ShipBulletHitReport(shipObjectId, bulletObjectId, member.Id, ship.OwnerMemberId));
+    }
+
+    /// <summary>
+    /// Confirms a ship hit after the authority has charged the target and credited the shooter.
+    /// Broadcasts to all session members so the shooter removes the bullet and the target
+    /// destroys its ship. Only the Server (authority) can confirm.
+    /// </summary>
+    public async Task ConfirmShipBulletHit(Guid bulletObjectId, Guid bulletOwnerMemberId, Guid targetMemberId, int points)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("ConfirmShipBulletHit failed - member not found");
+            return;
+        }
+
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ConfirmShipBulletHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
+        if (member.Role != MemberRole.Server)
+        {
+            _logger.LogWarning("ConfirmShipBulletHit rejected - member {MemberId} is not the server", member.Id);
+            return;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnShipBulletHitConfirmed",
+            new ShipBulletHitConfirmation(bulletObjectId, bulletOwnerMemberId, targetMemberId, points));
+    }
+
+    /// <summary>
+    /// Rejects a ship hit (target protected, already out, or friendly fire disabled).
+    /// Broadcasts OnBulletHitRejected so the shooter un-hides the bullet, as for asteroid hits.
+    /// Only the Server (authority) can reject.
+    /// </summary>
+    public async Task RejectShipBulletHit(Guid bulletObjectId, Guid bulletOwnerMemberId)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("RejectShipBulletHit failed - member not found");
+            return;
+        }
+
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("RejectShipBulletHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
+        if (member.Role != MemberRole.Server)
+        {
+            _logger.LogWarning("RejectShipBulletHit rejected - member {MemberId} is not the server", member.Id);
+            return;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnBulletHitRejected",
+            new BulletHitRejection(bulletObjectId, bulletOwnerMemberId));
+    }
+
     /// <summary>
     /// Reports score points earned by a player. Broadcasts to all session members
-    /// so the authority can update the shared score.
+    /// so the authority can update the shared score and the player's stats.
     /// </summary>
-    public async Task ReportScore(int points)
+    /// <param name="points">Points earned.</param>
+    /// <param name="target">What was destroyed (asteroid size or "saucer"); unknown values are dropped.</param>
+    public async Task ReportScore(int points, string? target)
     {
         var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
         if (member == null)
@@ -590,8 +1285,20 @@ public class SessionHub : Hub
             return;
         }
 
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ReportScore rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
+        if (target != null && !ScoreTargets.Contains(target))
+        {
+            _logger.LogDebug("ReportScore ignoring unknown target {Target} from member {MemberId}", target, member.Id);
+            target = null;
+        }
+
         await Clients.Group(member.SessionId.ToString()).SendAsync("OnScoreReported",
-            new ScoreReport(member.Id, points));
+            new ScoreReport(member.Id, points, target));
     }
 
     /// <summary>
@@ -607,13 +1314,137 @@ public class SessionHub : Hub
             return;
         }
 
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ReportShipHit rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
         await Clients.Group(member.SessionId.ToString()).SendAsync("OnShipHitReported",
             new ShipHitReport(member.Id));
     }
+
+    /// <summary>
+    /// Asks to join a game that is already running. Broadcasts to all session members
+    /// so the authority can pick a spawn point, color and lives for the new player.
+    /// Spectators cannot drop in.
+    /// </summary>
+    public async Task RequestDropIn()
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("RequestDropIn failed - member not found");
+            return;
+        }
+
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("RequestDropIn rejected - member {MemberId} is a spectator", member.Id);
+            return;
+        }
+
+        var session = _sessionService.GetSession(member.SessionId);
+        if (session == null || !session.GameStarted)
+        {
+            _logger.LogWarning("RequestDropIn rejected - no running game for member {MemberId}", member.Id);
+            return;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnDropInRequested",
+            new DropInRequest(member.Id));
+    }
+
+    /// <summary>
+    /// Approves a drop-in request. Broadcasts to all session members so the joiner
+    /// spawns at the chosen point and everyone else learns about the new player.
+    /// Only the Server (authority) can approve.
+    /// </summary>
+    /// <param name="memberId">The member dropping in.</param>
+    /// <param name="x">Normalized spawn X (clamped to 0-1).</param>
+    /// <param name="y">Normalized spawn Y (clamped to 0-1).</param>
+    /// <param name="colorIndex">Ship color assigned to the member.</param>
+    /// <param name="lives">Lives the member starts with (their own, or the shared pool's).</param>
+    /// <param name="sharedLives">Whether the member draws from the shared lives pool.</param>
+    public async Task ApproveDropIn(Guid memberId, double x, double y, int colorIndex, int lives, bool sharedLives)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("ApproveDropIn failed - member not found");
+            return;
+        }
+
+        if (member.Role != MemberRole.Server)
+        {
+            _logger.LogWarning("ApproveDropIn rejected - member {MemberId} is not the server", member.Id);
+            return;
+        }
+
+        var session = _sessionService.GetSession(member.SessionId);
+        if (session == null || !session.Members.TryGetValue(memberId, out var joiner) || joiner.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("ApproveDropIn rejected - member {TargetMemberId} is not a player in session {SessionId}",
+                memberId, member.SessionId);
+            return;
+        }
+
+        if (!double.IsFinite(x) || !double.IsFinite(y) || colorIndex < 0 || lives < 0)
+        {
+            _logger.LogWarning("ApproveDropIn rejected - invalid spawn for member {TargetMemberId}", memberId);
+            return;
+        }
+
+        await Clients.Group(member.SessionId.ToString()).SendAsync("OnPlayerDroppedIn",
+            new PlayerDroppedInEvent(memberId, Math.Clamp(x, 0, 1), Math.Clamp(y, 0, 1), colorIndex, lives, sharedLives));
+    }
+
+    /// <summary>
+    /// Claims a power-up for the calling member. The power-up is removed atomically, so when
+    /// several ships touch it at once only the first claim succeeds. All session members are
+    /// told who collected it; the winner applies the effect and the authority adjusts shared state.
+    /// </summary>
+    /// <param name="objectId">The power-up object being collected.</param>
+    /// <returns>True if this member collected the power-up.</returns>
+    public async Task<bool> CollectPowerUp(Guid objectId)
+    {
+        var member = _sessionService.GetMemberByConnectionId(Context.ConnectionId);
+        if (member == null)
+        {
+            _logger.LogWarning("CollectPowerUp failed - member not found for connection {ConnectionId}", Context.ConnectionId);
+            return false;
+        }
+
+        if (member.Role == MemberRole.Spectator)
+        {
+            _logger.LogWarning("CollectPowerUp rejected - member {MemberId} is a spectator", member.Id);
+            return false;
+        }
+
+        var claimed = _objectService.ClaimObject(member.SessionId, objectId, PowerUpObjectType);
+        if (claimed == null)
+        {
+            _logger.LogDebug("CollectPowerUp rejected - power-up {ObjectId} already collected or missing", objectId);
+            return false;
+        }
+
+        var kind = claimed.Data.TryGetValue("kind", out var k) ? k?.ToString() ?? string.Empty : string.Empty;
+        var group = Clients.Group(member.SessionId.ToString());
+        await group.SendAsync("OnObjectDeleted", objectId);
+        await group.SendAsync("OnPowerUpCollected", new PowerUpCollectedEvent(objectId, member.Id, kind));
+
+        if (_objectService.GetObjectCountByType(member.SessionId, PowerUpObjectType) == 0)
+        {
+            await group.SendAsync("OnObjectTypeEmpty", PowerUpObjectType);
+        }
+
+        _logger.LogDebug("Power-up {ObjectId} ({Kind}) collected by member {MemberId}", objectId, kind, member.Id);
+        return true;
+    }
 }
 
 // Response DTOs
-public record CreateSessionResponse(Guid SessionId, string SessionName, Guid MemberId, string Role, double AspectRatio);
+public record CreateSessionResponse(Guid SessionId, string SessionName, Guid MemberId, string Role, double AspectRatio, string ResumeToken, string JoinCode, bool IsPrivate, SessionRulesInfo Rules);
 public record JoinSessionResponse(
     Guid SessionId,
     string SessionName,
@@ -622,9 +1453,14 @@ public record JoinSessionResponse(
     IEnumerable<MemberInfo> Members,
     IEnumerable<ObjectInfo> Objects,
     double AspectRatio,
-    bool GameStarted
+    bool GameStarted,
+    string ResumeToken,
+    string JoinCode,
+    bool IsPrivate,
+    bool IsLocked,
+    SessionRulesInfo Rules
 );
-public record MemberInfo(Guid Id, string Role, DateTime JoinedAt);
+public record MemberInfo(Guid Id, string Role, DateTime JoinedAt, string DisplayName, bool IsReady);
 public record MemberLeftInfo(
     Guid MemberId,
     Guid? PromotedMemberId,
@@ -632,13 +1468,33 @@ public record MemberLeftInfo(
     IEnumerable<Guid> DeletedObjectIds,
     IEnumerable<ObjectMigration> MigratedObjects
 );
-public record SessionListItem(Guid Id, string Name, int MemberCount, int MaxMembers, DateTime CreatedAt, bool GameStarted);
-public record ActiveSessionsResponse(IEnumerable<SessionListItem> Sessions, int MaxSessions, bool CanCreateSession);
+public record MemberDisconnectedInfo(
+    Guid MemberId,
+    Guid? PromotedMemberId,
+    string? PromotedRole,
+    IEnumerable<ObjectMigration> MigratedObjects
+);
+public record HostTransferredInfo(Guid FormerServerId, Guid NewServerId, IEnumerable<ObjectMigration> MigratedObjects);
+public record SessionListItem(Guid Id, string Name, int MemberCount, int MaxMembers, DateTime CreatedAt, bool GameStarted, int SpectatorCount, bool IsPrivate, bool IsLocked);
+public record ActiveSessionsResponse(IEnumerable<SessionListItem> Sessions, int MaxSessions, bool CanCreateSession, int MaxPlayersPerSession);
+public record SessionRulesInfo(int Lives, string Difficulty, bool FriendlyFire, int MaxPlayers, string GameMode);
 public record ObjectInfo(Guid Id, Guid CreatorMemberId, Guid OwnerMemberId, string Scope, Dictionary<string, object?> Data, long Version);
 public record ObjectUpdateRequest(Guid ObjectId, Dictionary<string, object?> Data, long? ExpectedVersion = null);
+public record UpdateObjectsResponse(IEnumerable<ObjectInfo> Applied, IEnumerable<RejectedUpdateInfo> Rejected);
+public record RejectedUpdateInfo(Guid ObjectId, string Reason, ObjectInfo? Current);
 public record BulletHitReport(Guid AsteroidObjectId, Guid BulletObjectId, Guid ReporterMemberId);
 public record BulletHitConfirmation(Guid BulletObjectId, Guid BulletOwnerMemberId, int Points, string AsteroidSize);
 public record BulletHitRejection(Guid BulletObjectId, Guid BulletOwnerMemberId);
 public record ObjectReplacedEvent(Guid DeletedObjectId, List<ObjectInfo> CreatedObjects);
+public record ObjectOwnershipChangedInfo(Guid ObjectId, Guid PreviousOwnerId, Guid NewOwnerId, long Version);
 public record ShipHitReport(Guid ReporterMemberId);
-public record ScoreReport(Guid ReporterMemberId, int Points);
+public record ShipBulletHitReport(Guid ShipObjectId, Guid BulletObjectId, Guid ReporterMemberId, Guid TargetMemberId);
+public record ShipBulletHitConfirmation(Guid BulletObjectId, Guid BulletOwnerMemberId, Guid TargetMemberId, int Points);
+public record ScoreReport(Guid ReporterMemberId, int Points, string? Target);
+public record DropInRequest(Guid MemberId);
+public record PlayerDroppedInEvent(Guid MemberId, double X, double Y, int ColorIndex, int Lives, bool SharedLives);
+public record PowerUpCollectedEvent(Guid ObjectId, Guid CollectorMemberId, string Kind);
+public record ChatMessageInfo(Guid MemberId, string DisplayName, string Text, DateTime SentAt);
+public record LeaderboardEntryInfo(Guid Id, string SessionName, int Score, int Wave, int MemberCount, double DurationSeconds, DateTime RecordedAt);
+public record LeaderboardResponse(IEnumerable<LeaderboardEntryInfo> Entries);
+public record SubmitScoreResponse(LeaderboardEntryInfo Entry, int? Rank);
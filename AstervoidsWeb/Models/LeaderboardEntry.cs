@@ -0,0 +1,42 @@
+namespace AstervoidsWeb.Models;
+
+/// <summary>
+/// The final result of a multiplayer session recorded on the leaderboard.
+/// </summary>
+public class LeaderboardEntry
+{
+    /// <summary>
+    /// Globally unique identifier for this entry.
+    /// </summary>
+    public Guid Id { get; init; } = Guid.NewGuid();
+
+    /// <summary>
+    /// Name of the session that achieved the score.
+    /// </summary>
+    public required string SessionName { get; init; }
+
+    /// <summary>
+    /// Final shared score of the session.
+    /// </summary>
+    public int Score { get; init; }
+
+    /// <summary>
+    /// Highest wave reached.
+    /// </summary>
+    public int Wave { get; init; }
+
+    /// <summary>
+    /// Number of members in the session when the game ended.
+    /// </summary>
+    public int MemberCount { get; init; }
+
+    /// <summary>
+    /// Length of the game in seconds, from StartGame to game over.
+    /// </summary>
+    public double DurationSeconds { get; init; }
+
+    /// <summary>
+    /// Timestamp when the entry was recorded.
+    /// </summary>
+    public DateTime RecordedAt { get; init; } = DateTime.UtcNow;
+}
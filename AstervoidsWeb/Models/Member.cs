@@ -1,3 +1,5 @@
+using System.Security.Cryptography;
+
 namespace AstervoidsWeb.Models;
 
 /// <summary>
@@ -16,7 +18,7 @@ public class Member
     public required string ConnectionId { get; set; }
 
     /// <summary>
-    /// The member's role within the session (Server or Client).
+    /// The member's role within the session (Server, Client or Spectator).
     /// </summary>
     public MemberRole Role { get; set; }
 
@@ -25,8 +27,35 @@ public class Member
     /// </summary>
     public DateTime JoinedAt { get; init; } = DateTime.UtcNow;
 
+    /// <summary>
+    /// Name the player chose, shown in the lobby, above their ship and in the HUD.
+    /// Empty until the player sets one.
+    /// </summary>
+    public string DisplayName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the player has readied up in the lobby.
+    /// </summary>
+    public bool IsReady { get; set; }
+
     /// <summary>
     /// The session this member belongs to.
     /// </summary>
     public Guid SessionId { get; init; }
+
+    /// <summary>
+    /// Secret handed only to this member, used to reclaim the membership after a dropped connection.
+    /// </summary>
+    public string ResumeToken { get; init; } = Convert.ToHexString(RandomNumberGenerator.GetBytes(16));
+
+    /// <summary>
+    /// When the member's connection dropped, or null while connected.
+    /// A disconnected member keeps its slot and objects until the reconnect grace period runs out.
+    /// </summary>
+    public DateTime? DisconnectedAt { get; set; }
+
+    /// <summary>
+    /// Whether the member currently has a live connection.
+    /// </summary>
+    public bool IsConnected => DisconnectedAt == null;
 }
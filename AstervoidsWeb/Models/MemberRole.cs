@@ -15,5 +15,12 @@ public enum MemberRole
     /// A participant member that syncs with the server.
     /// Multiple members can have this role per session.
     /// </summary>
-    Client
+    Client,
+
+    /// <summary>
+    /// A watcher that receives all object updates but does not play.
+    /// Spectators don't count toward the player cap, can't own objects
+    /// and are never promoted to Server.
+    /// </summary>
+    Spectator
 }
@@ -17,6 +17,27 @@ public class Session
     /// </summary>
     public required string Name { get; init; }
 
+    /// <summary>
+    /// Short code that joins this session directly, shared as an invite link (/?join=CODE).
+    /// </summary>
+    public string JoinCode { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Whether the session is hidden from the session list and can only be joined with its code.
+    /// </summary>
+    public bool IsPrivate { get; init; }
+
+    /// <summary>
+    /// Rules chosen by the creator, validated when the session was created.
+    /// </summary>
+    public SessionRules Rules { get; init; } = new();
+
+    /// <summary>
+    /// Whether the host has locked the session against new joins.
+    /// Members who lost their connection can still resume.
+    /// </summary>
+    public bool IsLocked { get; set; }
+
     /// <summary>
     /// Thread-safe collection of members in this session.
     /// Key is the member's GUID.
@@ -29,6 +50,16 @@ public class Session
     /// </summary>
     public ConcurrentDictionary<Guid, SessionObject> Objects { get; } = new();
 
+    /// <summary>
+    /// Number of members playing (Server and Clients), excluding spectators.
+    /// </summary>
+    public int PlayerCount => Members.Values.Count(m => m.Role != MemberRole.Spectator);
+
+    /// <summary>
+    /// Number of members watching as spectators.
+    /// </summary>
+    public int SpectatorCount => Members.Values.Count(m => m.Role == MemberRole.Spectator);
+
     /// <summary>
     /// Timestamp when the session was created.
     /// </summary>
@@ -52,6 +83,16 @@ public class Session
     /// </summary>
     public bool GameStarted { get; set; } = false;
 
+    /// <summary>
+    /// Timestamp when the server started the game, used to measure game duration.
+    /// </summary>
+    public DateTime? GameStartedAt { get; set; }
+
+    /// <summary>
+    /// Whether the final result of this session's game has been recorded on the leaderboard.
+    /// </summary>
+    public bool ScoreSubmitted { get; set; } = false;
+
     /// <summary>
     /// Lock object for coordinating server promotion.
     /// </summary>
@@ -24,7 +24,7 @@ public class SessionObject
     /// <summary>
     /// The member who currently owns this object (mutable).
     /// The owner is responsible for simulation and state updates.
-    /// Initially set to the creator; may change via ownership migration.
+    /// Initially set to the creator; may change via ownership migration or an explicit transfer.
     /// </summary>
     public Guid OwnerMemberId { get; set; }
 
@@ -0,0 +1,51 @@
+namespace AstervoidsWeb.Models;
+
+/// <summary>
+/// Rules a session is played by, chosen by its creator. Every member applies the
+/// same rules, so the game plays the same for everyone in the session.
+/// </summary>
+public class SessionRules
+{
+    public const int MinLives = 1;
+    public const int MaxLives = 9;
+
+    /// <summary>
+    /// Difficulty presets the game knows about.
+    /// </summary>
+    public static readonly IReadOnlyList<string> Difficulties = ["easy", "normal", "hard"];
+
+    /// <summary>
+    /// Game modes the game knows about.
+    /// </summary>
+    public static readonly IReadOnlyList<string> GameModes = ["classic", "timeAttack", "survival", "zen", "versus"];
+
+    /// <summary>
+    /// Starting lives: the shared pool in co-op, or each player's own in Versus.
+    /// </summary>
+    public int Lives { get; init; } = 6;
+
+    /// <summary>
+    /// Difficulty preset (one of <see cref="Difficulties"/>).
+    /// </summary>
+    public string Difficulty { get; init; } = "normal";
+
+    /// <summary>
+    /// Whether bullets can hit other players' ships. Versus always allows it.
+    /// </summary>
+    public bool FriendlyFire { get; init; }
+
+    /// <summary>
+    /// Player cap for the session, up to the server's limit. Spectators are not counted.
+    /// </summary>
+    public int MaxPlayers { get; init; } = 4;
+
+    /// <summary>
+    /// Game mode id (one of <see cref="GameModes"/>).
+    /// </summary>
+    public string GameMode { get; init; } = "classic";
+
+    /// <summary>
+    /// Whether players can shoot each other in this session.
+    /// </summary>
+    public bool AllowsShipHits => FriendlyFire || GameMode == "versus";
+}
@@ -7,13 +7,21 @@ var builder = WebApplication.CreateBuilder(args);
 // Register configuration
 builder.Services.Configure<SessionSettings>(
     builder.Configuration.GetSection(SessionSettings.SectionName));
+builder.Services.Configure<LeaderboardSettings>(
+    builder.Configuration.GetSection(LeaderboardSettings.SectionName));
+builder.Services.Configure<ChatSettings>(
+    builder.Configuration.GetSection(ChatSettings.SectionName));
 
 // Register services
 builder.Services.AddSingleton<ISessionService, SessionService>();
 builder.Services.AddSingleton<IObjectService, ObjectService>();
+builder.Services.AddSingleton<ILeaderboardService, LeaderboardService>();
+builder.Services.AddSingleton<IChatService, ChatService>();
+builder.Services.AddHostedService<ReconnectGraceService>();
 
-// Add SignalR
-builder.Services.AddSignalR();
+// Add SignalR (JSON by default; clients can opt in to the MessagePack protocol)
+builder.Services.AddSignalR()
+    .AddMessagePackProtocol();
 
 var app = builder.Build();
 
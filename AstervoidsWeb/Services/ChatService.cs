@@ -0,0 +1,106 @@
+using System.Text;
+using AstervoidsWeb.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace AstervoidsWeb.Services;
+
+/// <summary>
+/// Chat validation with a per-member sliding window rate limit, kept in memory.
+/// </summary>
+public class ChatService : IChatService
+{
+    // Send times of each member's recent messages, oldest first
+    private readonly Dictionary<Guid, Queue<DateTime>> _recentMessages = new();
+    private readonly object _lock = new();
+    private readonly ILogger<ChatService>? _logger;
+    private readonly int _maxMessageLength;
+    private readonly int _maxMessagesPerWindow;
+    private readonly TimeSpan _rateLimitWindow;
+
+    public int MaxMessageLength => _maxMessageLength;
+
+    public ChatService()
+    {
+        _maxMessageLength = 120;
+        _maxMessagesPerWindow = 5;
+        _rateLimitWindow = TimeSpan.FromSeconds(10);
+    }
+
+    public ChatService(IOptions<ChatSettings> settings, ILogger<ChatService>? logger = null)
+    {
+        _maxMessageLength = Math.Max(1, settings.Value.MaxMessageLength);
+        _maxMessagesPerWindow = Math.Max(1, settings.Value.MaxMessagesPerWindow);
+        _rateLimitWindow = TimeSpan.FromSeconds(Math.Max(1, settings.Value.RateLimitWindowSeconds));
+        _logger = logger;
+    }
+
+    public ChatMessageResult SubmitMessage(Guid memberId, string? text, DateTime now)
+    {
+        var cleaned = CleanUp(text);
+        if (cleaned.Length == 0)
+            return new ChatMessageResult(false, null, "Message is empty");
+
+        if (cleaned.Length > _maxMessageLength)
+            return new ChatMessageResult(false, null, $"Message is longer than {_maxMessageLength} characters");
+
+        lock (_lock)
+        {
+            PruneExpired(now);
+
+            if (!_recentMessages.TryGetValue(memberId, out var sent))
+            {
+                sent = new Queue<DateTime>();
+                _recentMessages[memberId] = sent;
+            }
+
+            if (sent.Count >= _maxMessagesPerWindow)
+            {
+                _logger?.LogWarning("Chat message from {MemberId} rate limited", memberId);
+                return new ChatMessageResult(false, null, "Sending messages too quickly");
+            }
+
+            sent.Enqueue(now);
+        }
+
+        return new ChatMessageResult(true, cleaned, null);
+    }
+
+    // Caller must hold _lock. Drops send times that have left the window, and members with none left.
+    private void PruneExpired(DateTime now)
+    {
+        var cutoff = now - _rateLimitWindow;
+        foreach (var (memberId, sent) in _recentMessages.ToList())
+        {
+            while (sent.Count > 0 && sent.Peek() <= cutoff)
+                sent.Dequeue();
+            if (sent.Count == 0)
+                _recentMessages.Remove(memberId);
+        }
+    }
+
+    private static string CleanUp(string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text))
+            return string.Empty;
+
+        var builder = new StringBuilder();
+        var pendingSpace = false;
+        foreach (var c in text.Trim())
+        {
+            if (char.IsWhiteSpace(c))
+            {
+                pendingSpace = true;
+                continue;
+            }
+            if (char.IsControl(c))
+                continue;
+
+            if (pendingSpace && builder.Length > 0)
+                builder.Append(' ');
+            pendingSpace = false;
+            builder.Append(c);
+        }
+        return builder.ToString();
+    }
+}
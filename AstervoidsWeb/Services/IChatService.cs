@@ -0,0 +1,31 @@
+namespace AstervoidsWeb.Services;
+
+/// <summary>
+/// Service for validating and rate limiting in-session chat messages.
+/// </summary>
+public interface IChatService
+{
+    /// <summary>
+    /// Longest chat message accepted, in characters.
+    /// </summary>
+    int MaxMessageLength { get; }
+
+    /// <summary>
+    /// Checks a message a member wants to send. Whitespace is trimmed and collapsed and
+    /// control characters are dropped. Accepted messages count toward the member's rate limit.
+    /// </summary>
+    /// <param name="memberId">The sending member.</param>
+    /// <param name="text">The message as typed.</param>
+    /// <param name="now">The current time.</param>
+    /// <returns>The cleaned-up text to broadcast, or an error if the message is empty, too long or rate limited.</returns>
+    ChatMessageResult SubmitMessage(Guid memberId, string? text, DateTime now);
+}
+
+/// <summary>
+/// Result of submitting a chat message.
+/// </summary>
+public record ChatMessageResult(
+    bool Success,
+    string? Text,
+    string? ErrorMessage
+);
@@ -0,0 +1,42 @@
+using AstervoidsWeb.Models;
+
+namespace AstervoidsWeb.Services;
+
+/// <summary>
+/// Service for recording and querying final multiplayer session scores.
+/// </summary>
+public interface ILeaderboardService
+{
+    /// <summary>
+    /// Maximum number of entries kept on the leaderboard.
+    /// </summary>
+    int MaxEntries { get; }
+
+    /// <summary>
+    /// Records the final result of a session.
+    /// </summary>
+    /// <param name="sessionName">Name of the session that played the game.</param>
+    /// <param name="score">Final shared score.</param>
+    /// <param name="wave">Highest wave reached.</param>
+    /// <param name="memberCount">Number of members in the session at game over.</param>
+    /// <param name="duration">Length of the game.</param>
+    /// <returns>The recorded entry and its rank, or an error if the input is invalid.</returns>
+    SubmitScoreResult SubmitScore(string sessionName, int score, int wave, int memberCount, TimeSpan duration);
+
+    /// <summary>
+    /// Gets the highest scoring entries, best first.
+    /// </summary>
+    /// <param name="count">Maximum number of entries to return.</param>
+    IReadOnlyList<LeaderboardEntry> GetTopScores(int count);
+}
+
+/// <summary>
+/// Result of submitting a score to the leaderboard.
+/// Rank is 1-based, or null when the score did not make the leaderboard.
+/// </summary>
+public record SubmitScoreResult(
+    bool Success,
+    LeaderboardEntry? Entry,
+    int? Rank,
+    string? ErrorMessage
+);
@@ -14,7 +14,7 @@ public interface IObjectService
     /// <param name="creatorMemberId">The member creating the object.</param>
     /// <param name="scope">The lifetime scope of the object (Member or Session).</param>
     /// <param name="data">Initial object data.</param>
-    /// <returns>The created object, or null if session/member not found.</returns>
+    /// <returns>The created object, or null if session/member not found or the owner would be a spectator.</returns>
     SessionObject? CreateObject(Guid sessionId, Guid creatorMemberId, ObjectScope scope, Dictionary<string, object?>? data = null, Guid? ownerMemberId = null);
 
     /// <summary>
@@ -24,6 +24,7 @@ public interface IObjectService
 
     /// <summary>
     /// Batch updates multiple objects atomically.
+    /// Each update's data is merged into the object's data; fields it leaves out keep their value.
     /// </summary>
     IEnumerable<SessionObject> UpdateObjects(Guid sessionId, IEnumerable<ObjectUpdate> updates);
 
@@ -33,6 +34,27 @@ public interface IObjectService
     /// <returns>The deleted object, or null if not found.</returns>
     SessionObject? DeleteObject(Guid sessionId, Guid objectId);
 
+    /// <summary>
+    /// Atomically removes an object of the given type on behalf of a claiming member.
+    /// When several members claim the same object concurrently, exactly one succeeds.
+    /// </summary>
+    /// <param name="sessionId">The session containing the object.</param>
+    /// <param name="objectId">The object being claimed.</param>
+    /// <param name="type">The Data["type"] the object must have to be claimable.</param>
+    /// <returns>The claimed object, or null if it is missing, of another type, or already claimed.</returns>
+    SessionObject? ClaimObject(Guid sessionId, Guid objectId, string type);
+
+    /// <summary>
+    /// Atomically hands an object to another member, provided it still has the owner the caller expects.
+    /// When several members ask for the same object concurrently, exactly one succeeds.
+    /// </summary>
+    /// <param name="sessionId">The session containing the object.</param>
+    /// <param name="objectId">The object changing hands.</param>
+    /// <param name="expectedOwnerId">The owner the caller last saw; the transfer fails if it has changed since.</param>
+    /// <param name="newOwnerId">The member taking over the object.</param>
+    /// <returns>The transferred object, or null if it is missing, its owner changed, or the new owner is not a player in the session.</returns>
+    SessionObject? TransferOwnership(Guid sessionId, Guid objectId, Guid expectedOwnerId, Guid newOwnerId);
+
     /// <summary>
     /// Gets all objects in a session.
     /// </summary>
@@ -50,23 +72,26 @@ public interface IObjectService
 
     /// <summary>
     /// Handles cleanup when a member departs a session.
-    /// Deletes member-scoped objects owned by the departing member.
+    /// Deletes member-scoped objects owned by the departing member, unless they are kept for a member that may reconnect.
     /// Transfers session-scoped objects to remaining members (distributed round-robin or to a single member based on configuration).
     /// </summary>
     /// <param name="sessionId">The session.</param>
     /// <param name="departingMemberId">The member who is leaving.</param>
     /// <param name="remainingMemberIds">The remaining members eligible to receive session-scoped objects.</param>
+    /// <param name="keepMemberObjects">True to leave member-scoped objects in place (the member has only disconnected).</param>
     /// <returns>Result containing deleted and migrated object info.</returns>
-    MemberDepartureResult HandleMemberDeparture(Guid sessionId, Guid departingMemberId, IList<Guid> remainingMemberIds);
+    MemberDepartureResult HandleMemberDeparture(Guid sessionId, Guid departingMemberId, IList<Guid> remainingMemberIds, bool keepMemberObjects = false);
 }
 
 /// <summary>
 /// Represents a batch update for an object.
+/// The update is skipped if the object's version or owner no longer matches the expected one.
 /// </summary>
 public record ObjectUpdate(
     Guid ObjectId,
     Dictionary<string, object?> Data,
-    long? ExpectedVersion = null
+    long? ExpectedVersion = null,
+    Guid? ExpectedOwnerId = null
 );
 
 /// <summary>
@@ -8,33 +8,113 @@ namespace AstervoidsWeb.Services;
 public interface ISessionService
 {
     /// <summary>
-    /// Creates a new session with a randomly generated fruit name.
+    /// Creates a new session with a randomly generated fruit name and join code.
     /// </summary>
     /// <param name="creatorConnectionId">SignalR connection ID of the creator.</param>
     /// <param name="aspectRatio">The aspect ratio (width/height) to lock for this session.</param>
+    /// <param name="isPrivate">True to hide the session from the list so it can only be joined by code.</param>
+    /// <param name="rules">Rules for the session; invalid rules fail the creation. Defaults when null.</param>
     /// <returns>Result indicating success/failure with session and member if successful.</returns>
-    CreateSessionResult CreateSession(string creatorConnectionId, double aspectRatio);
+    CreateSessionResult CreateSession(string creatorConnectionId, double aspectRatio, bool isPrivate = false, SessionRules? rules = null);
 
     /// <summary>
-    /// Joins an existing session as a client.
+    /// Joins an existing session as a client, or as a spectator.
+    /// Spectators can join full or running sessions; they have their own cap.
     /// </summary>
     /// <param name="sessionId">The session to join.</param>
     /// <param name="connectionId">SignalR connection ID of the joining member.</param>
+    /// <param name="asSpectator">True to watch instead of play.</param>
     /// <returns>Result indicating success/failure with session and member if successful.</returns>
-    JoinSessionResult JoinSession(Guid sessionId, string connectionId);
+    JoinSessionResult JoinSession(Guid sessionId, string connectionId, bool asSpectator = false);
 
     /// <summary>
     /// Removes a member from their session.
     /// Triggers server promotion if the leaving member was the server.
+    /// When the last player leaves, the session is destroyed and any spectators are removed with it.
     /// </summary>
     /// <param name="connectionId">SignalR connection ID of the leaving member.</param>
     /// <returns>Result containing session info and promotion details if applicable.</returns>
     LeaveSessionResult? LeaveSession(string connectionId);
 
+    /// <summary>
+    /// Marks a member whose connection dropped as disconnected instead of removing it.
+    /// The member keeps its slot until it resumes or the reconnect grace period runs out.
+    /// A disconnected server hands its role to a connected client when there is one.
+    /// </summary>
+    /// <param name="connectionId">SignalR connection ID that dropped.</param>
+    /// <returns>Result with the member and any promotion, or null if the connection was not in a session.</returns>
+    DisconnectMemberResult? DisconnectMember(string connectionId);
+
+    /// <summary>
+    /// Reclaims a member's identity on a new connection. A member still marked connected
+    /// (its old connection hasn't timed out yet) is taken over by the new connection.
+    /// </summary>
+    /// <param name="sessionId">The session the member belonged to.</param>
+    /// <param name="memberId">The member to resume.</param>
+    /// <param name="resumeToken">The member's resume token.</param>
+    /// <param name="connectionId">The new SignalR connection ID.</param>
+    /// <returns>Result indicating success/failure with session and member if successful.</returns>
+    JoinSessionResult ResumeSession(Guid sessionId, Guid memberId, string resumeToken, string connectionId);
+
+    /// <summary>
+    /// Removes members that have been disconnected for longer than the reconnect grace period,
+    /// exactly as if they had left.
+    /// </summary>
+    /// <param name="now">The current time.</param>
+    /// <returns>One leave result per expired member.</returns>
+    IReadOnlyList<LeaveSessionResult> ExpireDisconnectedMembers(DateTime now);
+
+    /// <summary>
+    /// Removes a member at the host's request, exactly as if it had left.
+    /// This is not a ban: the player can join again unless the session is locked.
+    /// </summary>
+    /// <param name="memberId">The member to remove.</param>
+    /// <returns>Result containing session info, or null if the member is not in a session.</returns>
+    LeaveSessionResult? KickMember(Guid memberId);
+
+    /// <summary>
+    /// Hands the server role from the current server to a connected client in the same session.
+    /// </summary>
+    /// <param name="serverMemberId">The member giving up the server role.</param>
+    /// <param name="targetMemberId">The client taking it over.</param>
+    /// <returns>The new server, or null if the transfer isn't allowed.</returns>
+    Member? TransferServerRole(Guid serverMemberId, Guid targetMemberId);
+
+    /// <summary>
+    /// Locks or unlocks a session against new players and spectators.
+    /// </summary>
+    /// <returns>False if the session doesn't exist.</returns>
+    bool SetSessionLocked(Guid sessionId, bool locked);
+
+    /// <summary>
+    /// Sets a member's display name. Whitespace is trimmed and collapsed, control characters
+    /// are dropped and the name is cut to <see cref="SessionService.MaxDisplayNameLength"/>.
+    /// </summary>
+    /// <param name="connectionId">SignalR connection ID of the member.</param>
+    /// <param name="displayName">The requested name.</param>
+    /// <returns>The updated member, or null if the connection is not in a session or nothing usable is left of the name.</returns>
+    Member? SetDisplayName(string connectionId, string? displayName);
+
+    /// <summary>
+    /// Sets a player's lobby ready flag. Spectators can't ready up.
+    /// </summary>
+    /// <param name="connectionId">SignalR connection ID of the member.</param>
+    /// <param name="ready">Whether the player is ready.</param>
+    /// <returns>The updated member, or null if the connection is not a player in a session.</returns>
+    Member? SetReady(string connectionId, bool ready);
+
+    /// <summary>
+    /// Whether every connected client player in the session is ready.
+    /// The server starts the game, so its own flag doesn't count; spectators are ignored.
+    /// </summary>
+    bool AreAllPlayersReady(Guid sessionId);
+
     /// <summary>
     /// Gets all active sessions that can be joined, along with capacity info.
+    /// Private sessions are left out, except the one the given connection belongs to.
     /// </summary>
-    ActiveSessionsResult GetActiveSessions();
+    /// <param name="connectionId">SignalR connection ID of the caller, if any.</param>
+    ActiveSessionsResult GetActiveSessions(string? connectionId = null);
 
     /// <summary>
     /// Gets the maximum number of concurrent sessions allowed.
@@ -42,15 +122,30 @@ public interface ISessionService
     int MaxSessions { get; }
 
     /// <summary>
-    /// Gets the maximum number of members per session.
+    /// Gets the maximum number of players per session. Sessions can choose a lower cap.
     /// </summary>
     int MaxMembersPerSession { get; }
 
+    /// <summary>
+    /// Gets the maximum number of spectators per session.
+    /// </summary>
+    int MaxSpectatorsPerSession { get; }
+
+    /// <summary>
+    /// Gets how long a disconnected member can take to resume. Zero disables resuming.
+    /// </summary>
+    TimeSpan ReconnectGracePeriod { get; }
+
     /// <summary>
     /// Gets a session by ID.
     /// </summary>
     Session? GetSession(Guid sessionId);
 
+    /// <summary>
+    /// Gets a session by its join code (case-insensitive, surrounding whitespace ignored).
+    /// </summary>
+    Session? GetSessionByJoinCode(string joinCode);
+
     /// <summary>
     /// Gets a member by their connection ID.
     /// </summary>
@@ -70,6 +165,16 @@ public record LeaveSessionResult(
     string SessionName,
     Guid MemberId,
     bool SessionDestroyed,
+    Member? PromotedMember,
+    IReadOnlyList<Member>? RemovedSpectators = null
+);
+
+/// <summary>
+/// Result of a member's connection dropping while in a session.
+/// </summary>
+public record DisconnectMemberResult(
+    Guid SessionId,
+    Member Member,
     Member? PromotedMember
 );
 
@@ -82,7 +187,10 @@ public record SessionInfo(
     int MemberCount,
     int MaxMembers,
     DateTime CreatedAt,
-    bool GameStarted
+    bool GameStarted,
+    int SpectatorCount,
+    bool IsPrivate,
+    bool IsLocked
 );
 
 /// <summary>
@@ -106,10 +214,12 @@ public record CreateSessionResult(
 
 /// <summary>
 /// Result of attempting to join a session.
+/// A resume that took over a still-open connection carries that connection's ID.
 /// </summary>
 public record JoinSessionResult(
     bool Success,
     Session? Session,
     Member? Member,
-    string? ErrorMessage
+    string? ErrorMessage,
+    string? ReplacedConnectionId = null
 );
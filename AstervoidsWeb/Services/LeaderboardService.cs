@@ -0,0 +1,135 @@
+using System.Text.Json;
+using AstervoidsWeb.Configuration;
+using AstervoidsWeb.Models;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace AstervoidsWeb.Services;
+
+/// <summary>
+/// Leaderboard kept in memory, optionally persisted to a local JSON file.
+/// </summary>
+public class LeaderboardService : ILeaderboardService
+{
+    private static readonly JsonSerializerOptions JsonOptions = new() { WriteIndented = true };
+
+    private readonly List<LeaderboardEntry> _entries = new();
+    private readonly object _lock = new();
+    private readonly ILogger<LeaderboardService>? _logger;
+    private readonly int _maxEntries;
+    private readonly string? _filePath;
+
+    public int MaxEntries => _maxEntries;
+
+    public LeaderboardService()
+    {
+        _maxEntries = 100;
+    }
+
+    public LeaderboardService(IOptions<LeaderboardSettings> settings, ILogger<LeaderboardService>? logger = null)
+    {
+        _maxEntries = Math.Max(1, settings.Value.MaxEntries);
+        _filePath = string.IsNullOrWhiteSpace(settings.Value.FilePath) ? null : settings.Value.FilePath;
+        _logger = logger;
+        Load();
+    }
+
+    public SubmitScoreResult SubmitScore(string sessionName, int score, int wave, int memberCount, TimeSpan duration)
+    {
+        if (score < 0)
+            return new SubmitScoreResult(false, null, null, "Score cannot be negative");
+
+        if (wave < 1)
+            return new SubmitScoreResult(false, null, null, "Wave must be at least 1");
+
+        if (memberCount < 1)
+            return new SubmitScoreResult(false, null, null, "Member count must be at least 1");
+
+        var entry = new LeaderboardEntry
+        {
+            SessionName = sessionName,
+            Score = score,
+            Wave = wave,
+            MemberCount = memberCount,
+            DurationSeconds = Math.Round(Math.Max(0, duration.TotalSeconds), 1)
+        };
+
+        int? rank;
+        lock (_lock)
+        {
+            // Insert after any equal scores so earlier runs keep their place
+            var index = _entries.FindIndex(e => e.Score < score);
+            if (index < 0)
+                index = _entries.Count;
+
+            if (index >= _maxEntries)
+            {
+                rank = null;
+            }
+            else
+            {
+                _entries.Insert(index, entry);
+                if (_entries.Count > _maxEntries)
+                    _entries.RemoveRange(_maxEntries, _entries.Count - _maxEntries);
+                rank = index + 1;
+                Save();
+            }
+        }
+
+        _logger?.LogInformation("Leaderboard submission from session {SessionName}: score {Score}, wave {Wave}, rank {Rank}",
+            sessionName, score, wave, rank?.ToString() ?? "unranked");
+        return new SubmitScoreResult(true, entry, rank, null);
+    }
+
+    public IReadOnlyList<LeaderboardEntry> GetTopScores(int count)
+    {
+        lock (_lock)
+        {
+            return _entries.Take(Math.Max(0, count)).ToList();
+        }
+    }
+
+    private void Load()
+    {
+        if (_filePath == null || !File.Exists(_filePath))
+            return;
+
+        try
+        {
+            var json = File.ReadAllText(_filePath);
+            var entries = JsonSerializer.Deserialize<List<LeaderboardEntry>>(json, JsonOptions) ?? new();
+            _entries.AddRange(entries
+                .OrderByDescending(e => e.Score)
+                .ThenBy(e => e.RecordedAt)
+                .Take(_maxEntries));
+            _logger?.LogInformation("Loaded {Count} leaderboard entries from {FilePath}", _entries.Count, _filePath);
+        }
+        catch (Exception ex) when (ex is IOException or JsonException or UnauthorizedAccessException)
+        {
+            _logger?.LogWarning(ex, "Failed to load leaderboard from {FilePath}; starting empty", _filePath);
+        }
+    }
+
+    // Caller must hold _lock
+    private void Save()
+    {
+        if (_filePath == null)
+            return;
+
+        try
+        {
+            var directory = Path.GetDirectoryName(_filePath);
+            if (!string.IsNullOrEmpty(directory))
+                Directory.CreateDirectory(directory);
+
+            // Write to a temp file first so a crash mid-write can't corrupt the leaderboard
+            var tempPath = _filePath + ".tmp";
+            File.WriteAllText(tempPath, JsonSerializer.Serialize(_entries, JsonOptions));
+            File.Move(tempPath, _filePath, overwrite: true);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            _logger?.LogWarning(ex, "Failed to save leaderboard to {FilePath}", _filePath);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+using System.Text.Json;
+
+namespace AstervoidsWeb.Services;
+
+/// <summary>
+/// Converts object data received from clients to the same CLR types whichever hub protocol carried it.
+/// JSON arrives as <see cref="JsonElement"/> values and MessagePack as the smallest fitting integer type,
+/// so without this the same number could be stored as an int by one client and a byte or double by another.
+/// Whole numbers become int (long when too large), other numbers double, maps Dictionary&lt;string, object?&gt;
+/// and arrays List&lt;object?&gt;; strings, booleans and nulls are kept.
+/// </summary>
+public static class ObjectDataNormalizer
+{
+    /// <summary>
+    /// Returns a normalized copy of the data, or an empty dictionary for null.
+    /// </summary>
+    public static Dictionary<string, object?> Normalize(Dictionary<string, object?>? data)
+    {
+        var result = new Dictionary<string, object?>();
+        if (data == null)
+            return result;
+
+        foreach (var kvp in data)
+        {
+            result[kvp.Key] = NormalizeValue(kvp.Value);
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Normalizes a single value (recursively for maps and arrays).
+    /// </summary>
+    public static object? NormalizeValue(object? value) => value switch
+    {
+        null => null,
+        JsonElement element => FromJsonElement(element),
+        int or double or string or bool => value,
+        byte or sbyte or short or ushort or uint or long => FromInteger(Convert.ToInt64(value)),
+        ulong u => u <= long.MaxValue ? FromInteger((long)u) : (double)u,
+        float f => (double)f,
+        decimal d => (double)d,
+        IDictionary<string, object?> map => map.ToDictionary(kvp => kvp.Key, kvp => NormalizeValue(kvp.Value)),
+        IDictionary<object, object?> map => map.ToDictionary(kvp => kvp.Key.ToString() ?? string.Empty, kvp => NormalizeValue(kvp.Value)),
+        object?[] array => array.Select(NormalizeValue).ToList(),
+        List<object?> list => list.Select(NormalizeValue).ToList(),
+        _ => value
+    };
+
+    private static object FromInteger(long value) =>
+        value is >= int.MinValue and <= int.MaxValue ? (object)(int)value : value;
+
+    private static object? FromJsonElement(JsonElement element) => element.ValueKind switch
+    {
+        JsonValueKind.String => element.GetString(),
+        JsonValueKind.True => true,
+        JsonValueKind.False => false,
+        JsonValueKind.Number when element.TryGetInt64(out var whole) => FromInteger(whole),
+        JsonValueKind.Number => element.GetDouble(),
+        JsonValueKind.Object => element.EnumerateObject().ToDictionary(p => p.Name, p => FromJsonElement(p.Value)),
+        JsonValueKind.Array => element.EnumerateArray().Select(FromJsonElement).ToList(),
+        _ => null
+    };
+}
@@ -6,6 +6,8 @@ namespace AstervoidsWeb.Services;
 
 /// <summary>
 /// In-memory implementation of object management.
+/// Every change to an object's owner, version or data is made while holding a lock on the object,
+/// so checks against them (expected version, expected owner) and the change itself are atomic.
 /// </summary>
 public class ObjectService : IObjectService
 {
@@ -30,11 +32,15 @@ public class ObjectService : IObjectService
         if (session == null)
             return null;
 
-        if (!session.Members.TryGetValue(creatorMemberId, out _))
+        if (!session.Members.TryGetValue(creatorMemberId, out var creator))
+            return null;
+
+        // Spectators can't have objects tied to them
+        if (creator.Role == MemberRole.Spectator && scope == ObjectScope.Member)
             return null;
 
         var effectiveOwner = ownerMemberId ?? creatorMemberId;
-        if (effectiveOwner != creatorMemberId && !session.Members.TryGetValue(effectiveOwner, out _))
+        if (!session.Members.TryGetValue(effectiveOwner, out var owner) || owner.Role == MemberRole.Spectator)
             return null;
 
         var obj = new SessionObject
@@ -59,18 +65,21 @@ public class ObjectService : IObjectService
         if (!session.Objects.TryGetValue(objectId, out var obj))
             return null;
 
-        // Optimistic concurrency check
-        if (expectedVersion.HasValue && obj.Version != expectedVersion.Value)
-            return null;
-
-        // Merge data
-        foreach (var kvp in data)
+        lock (obj)
         {
-            obj.Data[kvp.Key] = kvp.Value;
-        }
+            // Optimistic concurrency check
+            if (expectedVersion.HasValue && obj.Version != expectedVersion.Value)
+                return null;
+
+            // Merge data
+            foreach (var kvp in data)
+            {
+                obj.Data[kvp.Key] = kvp.Value;
+            }
 
-        obj.Version++;
-        obj.UpdatedAt = DateTime.UtcNow;
+            obj.Version++;
+            obj.UpdatedAt = DateTime.UtcNow;
+        }
 
         return obj;
     }
@@ -88,18 +97,25 @@ public class ObjectService : IObjectService
             if (!session.Objects.TryGetValue(update.ObjectId, out var obj))
                 continue;
 
-            // Optimistic concurrency check
-            if (update.ExpectedVersion.HasValue && obj.Version != update.ExpectedVersion.Value)
-                continue;
-
-            // Merge data
-            foreach (var kvp in update.Data)
+            lock (obj)
             {
-                obj.Data[kvp.Key] = kvp.Value;
-            }
+                // Optimistic concurrency check
+                if (update.ExpectedVersion.HasValue && obj.Version != update.ExpectedVersion.Value)
+                    continue;
 
-            obj.Version++;
-            obj.UpdatedAt = DateTime.UtcNow;
+                // The object changed hands since the caller's ownership was checked
+                if (update.ExpectedOwnerId.HasValue && obj.OwnerMemberId != update.ExpectedOwnerId.Value)
+                    continue;
+
+                // Merge data
+                foreach (var kvp in update.Data)
+                {
+                    obj.Data[kvp.Key] = kvp.Value;
+                }
+
+                obj.Version++;
+                obj.UpdatedAt = DateTime.UtcNow;
+            }
             results.Add(obj);
         }
 
@@ -115,6 +131,49 @@ public class ObjectService : IObjectService
         return session.Objects.TryRemove(objectId, out var obj) ? obj : null;
     }
 
+    public SessionObject? ClaimObject(Guid sessionId, Guid objectId, string type)
+    {
+        var session = _sessionService.GetSession(sessionId);
+        if (session == null)
+            return null;
+
+        if (!session.Objects.TryGetValue(objectId, out var obj))
+            return null;
+
+        if (!obj.Data.TryGetValue("type", out var t) || !string.Equals(t?.ToString(), type, StringComparison.Ordinal))
+            return null;
+
+        // Only remove the exact instance we inspected - a concurrent claimer that got there first wins
+        return session.Objects.TryRemove(new KeyValuePair<Guid, SessionObject>(objectId, obj)) ? obj : null;
+    }
+
+    public SessionObject? TransferOwnership(Guid sessionId, Guid objectId, Guid expectedOwnerId, Guid newOwnerId)
+    {
+        var session = _sessionService.GetSession(sessionId);
+        if (session == null)
+            return null;
+
+        if (!session.Objects.TryGetValue(objectId, out var obj))
+            return null;
+
+        // Spectators can't own objects
+        if (!session.Members.TryGetValue(newOwnerId, out var newOwner) || newOwner.Role == MemberRole.Spectator)
+            return null;
+
+        // Compare-and-set on the owner - a concurrent request or update that got there first wins
+        lock (obj)
+        {
+            if (obj.OwnerMemberId != expectedOwnerId || obj.OwnerMemberId == newOwnerId)
+                return null;
+
+            obj.OwnerMemberId = newOwnerId;
+            obj.Version++;
+            obj.UpdatedAt = DateTime.UtcNow;
+        }
+
+        return obj;
+    }
+
     public IEnumerable<SessionObject> GetSessionObjects(Guid sessionId)
     {
         var session = _sessionService.GetSession(sessionId);
@@ -143,7 +202,7 @@ public class ObjectService : IObjectService
             obj.Data.TryGetValue("type", out var t) && string.Equals(t?.ToString(), type, StringComparison.Ordinal));
     }
 
-    public MemberDepartureResult HandleMemberDeparture(Guid sessionId, Guid departingMemberId, IList<Guid> remainingMemberIds)
+    public MemberDepartureResult HandleMemberDeparture(Guid sessionId, Guid departingMemberId, IList<Guid> remainingMemberIds, bool keepMemberObjects = false)
     {
         var session = _sessionService.GetSession(sessionId);
         if (session == null)
@@ -156,38 +215,44 @@ public class ObjectService : IObjectService
 
         foreach (var obj in session.Objects.Values.ToList())
         {
-            if (obj.OwnerMemberId != departingMemberId)
-                continue;
+            lock (obj)
+            {
+                if (obj.OwnerMemberId != departingMemberId)
+                    continue;
 
-            var objectType = obj.Data.TryGetValue("type", out var t) ? t?.ToString() : null;
+                var objectType = obj.Data.TryGetValue("type", out var t) ? t?.ToString() : null;
 
-            if (obj.Scope == ObjectScope.Member)
-            {
-                // Member-scoped: delete
-                if (session.Objects.TryRemove(obj.Id, out _))
-                {
-                    deletedIds.Add(obj.Id);
-                    if (objectType != null) affectedTypes.Add(objectType);
-                }
-            }
-            else if (obj.Scope == ObjectScope.Session && remainingMemberIds.Count > 0)
-            {
-                // Session-scoped: distribute across remaining members
-                Guid newOwnerId;
-                if (_distributeOrphanedObjects && remainingMemberIds.Count > 1)
+                if (obj.Scope == ObjectScope.Member)
                 {
-                    newOwnerId = remainingMemberIds[roundRobinIndex % remainingMemberIds.Count];
-                    roundRobinIndex++;
+                    // Member-scoped: delete (kept while the member may still reconnect)
+                    if (keepMemberObjects)
+                        continue;
+
+                    if (session.Objects.TryRemove(obj.Id, out _))
+                    {
+                        deletedIds.Add(obj.Id);
+                        if (objectType != null) affectedTypes.Add(objectType);
+                    }
                 }
-                else
+                else if (obj.Scope == ObjectScope.Session && remainingMemberIds.Count > 0)
                 {
-                    newOwnerId = remainingMemberIds[0];
+                    // Session-scoped: distribute across remaining members
+                    Guid newOwnerId;
+                    if (_distributeOrphanedObjects && remainingMemberIds.Count > 1)
+                    {
+                        newOwnerId = remainingMemberIds[roundRobinIndex % remainingMemberIds.Count];
+                        roundRobinIndex++;
+                    }
+                    else
+                    {
+                        newOwnerId = remainingMemberIds[0];
+                    }
+
+                    obj.OwnerMemberId = newOwnerId;
+                    obj.Version++;
+                    obj.UpdatedAt = DateTime.UtcNow;
+                    migratedObjects.Add(new ObjectMigration(obj.Id, newOwnerId));
                 }
-
-                obj.OwnerMemberId = newOwnerId;
-                obj.Version++;
-                obj.UpdatedAt = DateTime.UtcNow;
-                migratedObjects.Add(new ObjectMigration(obj.Id, newOwnerId));
             }
         }
 
@@ -0,0 +1,56 @@
+using AstervoidsWeb.Hubs;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace AstervoidsWeb.Services;
+
+/// <summary>
+/// Removes members whose connection dropped and who did not resume within the
+/// reconnect grace period, notifying their sessions as if they had left.
+/// </summary>
+public class ReconnectGraceService : BackgroundService
+{
+    private static readonly TimeSpan CheckInterval = TimeSpan.FromSeconds(1);
+
+    private readonly ISessionService _sessionService;
+    private readonly IObjectService _objectService;
+    private readonly IHubContext<SessionHub> _hubContext;
+    private readonly ILogger<ReconnectGraceService> _logger;
+
+    public ReconnectGraceService(
+        ISessionService sessionService,
+        IObjectService objectService,
+        IHubContext<SessionHub> hubContext,
+        ILogger<ReconnectGraceService> logger)
+    {
+        _sessionService = sessionService;
+        _objectService = objectService;
+        _hubContext = hubContext;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        // Without a grace period disconnects are handled as leaving right away
+        if (_sessionService.ReconnectGracePeriod <= TimeSpan.Zero)
+            return;
+
+        using var timer = new PeriodicTimer(CheckInterval);
+        while (await timer.WaitForNextTickAsync(stoppingToken))
+        {
+            foreach (var result in _sessionService.ExpireDisconnectedMembers(DateTime.UtcNow))
+            {
+                try
+                {
+                    await SessionHub.CompleteDepartureAsync(
+                        _hubContext.Clients, _hubContext.Groups, _sessionService, _objectService, _logger, result);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error removing member {MemberId} after reconnect grace period", result.MemberId);
+                }
+            }
+        }
+    }
+}
@@ -1,4 +1,7 @@
 using System.Collections.Concurrent;
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
 using AstervoidsWeb.Configuration;
 using AstervoidsWeb.Models;
 using Microsoft.Extensions.Logging;
@@ -20,9 +23,22 @@ public class SessionService : ISessionService
     private readonly ILogger<SessionService>? _logger;
     private readonly int _maxSessions;
     private readonly int _maxMembersPerSession;
+    private readonly int _maxSpectatorsPerSession;
+    private readonly TimeSpan _reconnectGracePeriod;
 
     public int MaxSessions => _maxSessions;
     public int MaxMembersPerSession => _maxMembersPerSession;
+    public int MaxSpectatorsPerSession => _maxSpectatorsPerSession;
+    public TimeSpan ReconnectGracePeriod => _reconnectGracePeriod;
+
+    /// <summary>
+    /// Longest display name a member can have, in characters as the player sees them.
+    /// </summary>
+    public const int MaxDisplayNameLength = 16;
+
+    // Join codes avoid letters and digits that are easy to mix up (0/O, 1/I/L)
+    private const string JoinCodeAlphabet = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+    private const int JoinCodeLength = 6;
 
     private static readonly string[] FruitNames = 
     [
@@ -42,17 +58,29 @@ public class SessionService : ISessionService
     {
         _maxSessions = 6;
         _maxMembersPerSession = 4;
+        _maxSpectatorsPerSession = 8;
+        _reconnectGracePeriod = TimeSpan.FromSeconds(30);
     }
 
     public SessionService(IOptions<SessionSettings> settings, ILogger<SessionService> logger)
     {
         _maxSessions = settings.Value.MaxSessions;
         _maxMembersPerSession = settings.Value.MaxMembersPerSession;
+        _maxSpectatorsPerSession = settings.Value.MaxSpectatorsPerSession;
+        _reconnectGracePeriod = TimeSpan.FromSeconds(Math.Max(0, settings.Value.ReconnectGracePeriodSeconds));
         _logger = logger;
     }
 
-    public CreateSessionResult CreateSession(string creatorConnectionId, double aspectRatio)
+    public CreateSessionResult CreateSession(string creatorConnectionId, double aspectRatio, bool isPrivate = false, SessionRules? rules = null)
     {
+        rules ??= new SessionRules { MaxPlayers = _maxMembersPerSession };
+        var rulesError = ValidateRules(rules);
+        if (rulesError != null)
+        {
+            _logger?.LogWarning("CreateSession failed: {Error}", rulesError);
+            return new CreateSessionResult(false, null, null, rulesError);
+        }
+
         lock (_sessionLock)
         {
             // Check if connection is already in a session
@@ -76,6 +104,9 @@ public class SessionService : ISessionService
             var session = new Session
             {
                 Name = GenerateUniqueFruitName(),
+                JoinCode = GenerateUniqueJoinCode(),
+                IsPrivate = isPrivate,
+                Rules = rules,
                 AspectRatio = clampedAspectRatio
             };
 
@@ -91,14 +122,14 @@ public class SessionService : ISessionService
             _connectionToMember.TryAdd(creatorConnectionId, creator.Id);
             _memberToSession.TryAdd(creator.Id, session.Id);
 
-            _logger?.LogInformation("Session created: {SessionName} ({SessionId}) by {MemberId}", 
-                session.Name, session.Id, creator.Id);
+            _logger?.LogInformation("Session created: {SessionName} ({SessionId}) by {MemberId}{Visibility}", 
+                session.Name, session.Id, creator.Id, isPrivate ? " (private)" : "");
 
             return new CreateSessionResult(true, session, creator, null);
         }
     }
 
-    public JoinSessionResult JoinSession(Guid sessionId, string connectionId)
+    public JoinSessionResult JoinSession(Guid sessionId, string connectionId, bool asSpectator = false)
     {
         lock (_sessionLock)
         {
@@ -115,17 +146,29 @@ public class SessionService : ISessionService
                 return new JoinSessionResult(false, null, null, "Session not found");
             }
 
-            // Check if session is full
-            if (session.Members.Count >= _maxMembersPerSession)
+            if (session.IsLocked)
+            {
+                _logger?.LogWarning("JoinSession failed: session {SessionId} is locked", sessionId);
+                return new JoinSessionResult(false, null, null, "Session is locked");
+            }
+
+            // Check if session is full (players and spectators have separate caps)
+            if (asSpectator && session.SpectatorCount >= _maxSpectatorsPerSession)
+            {
+                _logger?.LogWarning("JoinSession failed: session {SessionId} has no room for spectators ({MaxSpectators})", sessionId, _maxSpectatorsPerSession);
+                return new JoinSessionResult(false, null, null, $"Session has no room for spectators (maximum {_maxSpectatorsPerSession})");
+            }
+
+            if (!asSpectator && session.PlayerCount >= session.Rules.MaxPlayers)
             {
-                _logger?.LogWarning("JoinSession failed: session {SessionId} is full ({MaxMembers} members)", sessionId, _maxMembersPerSession);
-                return new JoinSessionResult(false, null, null, $"Session is full (maximum {_maxMembersPerSession} members)");
+                _logger?.LogWarning("JoinSession failed: session {SessionId} is full ({MaxMembers} members)", sessionId, session.Rules.MaxPlayers);
+                return new JoinSessionResult(false, null, null, $"Session is full (maximum {session.Rules.MaxPlayers} members)");
             }
 
             var member = new Member
             {
                 ConnectionId = connectionId,
-                Role = MemberRole.Client,
+                Role = asSpectator ? MemberRole.Spectator : MemberRole.Client,
                 SessionId = session.Id
             };
 
@@ -133,8 +176,8 @@ public class SessionService : ISessionService
             _connectionToMember.TryAdd(connectionId, member.Id);
             _memberToSession.TryAdd(member.Id, session.Id);
 
-            _logger?.LogInformation("Member {MemberId} joined session {SessionName} as Client", 
-                member.Id, session.Name);
+            _logger?.LogInformation("Member {MemberId} joined session {SessionName} as {Role}", 
+                member.Id, session.Name, member.Role);
 
             return new JoinSessionResult(true, session, member, null);
         }
@@ -148,6 +191,183 @@ public class SessionService : ISessionService
             return null;
         }
 
+        return RemoveMember(memberId);
+    }
+
+    public DisconnectMemberResult? DisconnectMember(string connectionId)
+    {
+        lock (_sessionLock)
+        {
+            if (!_connectionToMember.TryRemove(connectionId, out var memberId))
+                return null;
+
+            if (!_memberToSession.TryGetValue(memberId, out var sessionId) ||
+                !_sessions.TryGetValue(sessionId, out var session) ||
+                !session.Members.TryGetValue(memberId, out var member))
+                return null;
+
+            member.DisconnectedAt = DateTime.UtcNow;
+
+            // A disconnected server can't run the game; hand the role to a connected client
+            // if there is one, otherwise keep it until the server resumes or expires
+            Member? promotedMember = null;
+            if (member.Role == MemberRole.Server)
+            {
+                lock (session.PromotionLock)
+                {
+                    member.Role = MemberRole.Client;
+                    promotedMember = PromoteRandomClient(session, connectedOnly: true);
+                    if (promotedMember == null)
+                    {
+                        member.Role = MemberRole.Server;
+                    }
+                }
+            }
+
+            _logger?.LogInformation("Member {MemberId} disconnected from session {SessionName}, holding its place for {GracePeriod}",
+                member.Id, session.Name, _reconnectGracePeriod);
+
+            return new DisconnectMemberResult(sessionId, member, promotedMember);
+        }
+    }
+
+    public JoinSessionResult ResumeSession(Guid sessionId, Guid memberId, string resumeToken, string connectionId)
+    {
+        lock (_sessionLock)
+        {
+            if (_connectionToMember.ContainsKey(connectionId))
+            {
+                _logger?.LogWarning("ResumeSession failed: connection {ConnectionId} is already in a session", connectionId);
+                return new JoinSessionResult(false, null, null, "Already in a session. Leave current session before resuming another.");
+            }
+
+            if (!_sessions.TryGetValue(sessionId, out var session) ||
+                !session.Members.TryGetValue(memberId, out var member))
+            {
+                _logger?.LogWarning("ResumeSession failed: member {MemberId} not found in session {SessionId}", memberId, sessionId);
+                return new JoinSessionResult(false, null, null, "Member not found");
+            }
+
+            if (!string.Equals(member.ResumeToken, resumeToken, StringComparison.Ordinal))
+            {
+                _logger?.LogWarning("ResumeSession failed: invalid resume token for member {MemberId}", memberId);
+                return new JoinSessionResult(false, null, null, "Invalid resume token");
+            }
+
+            string? replacedConnectionId = null;
+            if (member.IsConnected)
+            {
+                // The client usually reconnects before the server notices its old connection is gone.
+                // The new connection takes over, so the old one's disconnect later finds nothing to do.
+                replacedConnectionId = member.ConnectionId;
+                _connectionToMember.TryRemove(new KeyValuePair<string, Guid>(member.ConnectionId, member.Id));
+            }
+            else if (DateTime.UtcNow - member.DisconnectedAt!.Value >= _reconnectGracePeriod)
+            {
+                _logger?.LogWarning("ResumeSession failed: grace period expired for member {MemberId}", memberId);
+                return new JoinSessionResult(false, null, null, "Reconnect grace period has expired");
+            }
+
+            member.ConnectionId = connectionId;
+            member.DisconnectedAt = null;
+            _connectionToMember.TryAdd(connectionId, member.Id);
+
+            _logger?.LogInformation("Member {MemberId} resumed session {SessionName} as {Role}",
+                member.Id, session.Name, member.Role);
+
+            return new JoinSessionResult(true, session, member, null, replacedConnectionId);
+        }
+    }
+
+    public IReadOnlyList<LeaveSessionResult> ExpireDisconnectedMembers(DateTime now)
+    {
+        var results = new List<LeaveSessionResult>();
+        lock (_sessionLock)
+        {
+            var expiredMemberIds = _sessions.Values
+                .SelectMany(s => s.Members.Values)
+                .Where(m => m.DisconnectedAt != null && now - m.DisconnectedAt.Value >= _reconnectGracePeriod)
+                .Select(m => m.Id)
+                .ToList();
+
+            foreach (var memberId in expiredMemberIds)
+            {
+                var result = RemoveMember(memberId);
+                if (result != null)
+                {
+                    _logger?.LogInformation("Member {MemberId} did not reconnect to session {SessionName} in time",
+                        memberId, result.SessionName);
+                    results.Add(result);
+                }
+            }
+        }
+        return results;
+    }
+
+    public LeaveSessionResult? KickMember(Guid memberId)
+    {
+        lock (_sessionLock)
+        {
+            if (!_memberToSession.TryGetValue(memberId, out var sessionId) ||
+                !_sessions.TryGetValue(sessionId, out var session) ||
+                !session.Members.TryGetValue(memberId, out var member))
+                return null;
+
+            _connectionToMember.TryRemove(new KeyValuePair<string, Guid>(member.ConnectionId, memberId));
+
+            _logger?.LogInformation("Member {MemberId} kicked from session {SessionName}", memberId, session.Name);
+            return RemoveMember(memberId);
+        }
+    }
+
+    public Member? TransferServerRole(Guid serverMemberId, Guid targetMemberId)
+    {
+        if (!_memberToSession.TryGetValue(serverMemberId, out var sessionId) ||
+            !_sessions.TryGetValue(sessionId, out var session))
+            return null;
+
+        lock (session.PromotionLock)
+        {
+            if (!session.Members.TryGetValue(serverMemberId, out var server) || server.Role != MemberRole.Server)
+            {
+                _logger?.LogWarning("TransferServerRole failed: {MemberId} is not the server", serverMemberId);
+                return null;
+            }
+
+            // Only a connected player in the same session can take over
+            if (!session.Members.TryGetValue(targetMemberId, out var target) ||
+                target.Role != MemberRole.Client || !target.IsConnected)
+            {
+                _logger?.LogWarning("TransferServerRole failed: {TargetId} is not a connected client in session {SessionName}",
+                    targetMemberId, session.Name);
+                return null;
+            }
+
+            server.Role = MemberRole.Client;
+            target.Role = MemberRole.Server;
+            session.Version++;
+
+            _logger?.LogInformation("Server role in session {SessionName} handed from {MemberId} to {TargetId}",
+                session.Name, serverMemberId, targetMemberId);
+            return target;
+        }
+    }
+
+    public bool SetSessionLocked(Guid sessionId, bool locked)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var session))
+            return false;
+
+        session.IsLocked = locked;
+        return true;
+    }
+
+    /// <summary>
+    /// Removes a member from its session, promoting a new server and destroying
+    /// the session when no players are left.
+    /// </summary>
+    private LeaveSessionResult? RemoveMember(Guid memberId)
+    {
         if (!_memberToSession.TryRemove(memberId, out var sessionId))
             return null;
 
@@ -159,8 +379,8 @@ public class SessionService : ISessionService
 
         Member? promotedMember = null;
 
-        // If the leaving member was the server, promote a client
-        if (member.Role == MemberRole.Server && session.Members.Count > 0)
+        // If the leaving member was the server, promote a client (never a spectator)
+        if (member.Role == MemberRole.Server && session.PlayerCount > 0)
         {
             lock (session.PromotionLock)
             {
@@ -168,27 +388,25 @@ public class SessionService : ISessionService
                 var hasServer = session.Members.Values.Any(m => m.Role == MemberRole.Server);
                 if (!hasServer)
                 {
-                    // Select random client to promote
-                    var clients = session.Members.Values.ToList();
-                    if (clients.Count > 0)
-                    {
-                        var selectedIndex = _random.Next(clients.Count);
-                        promotedMember = clients[selectedIndex];
-                        promotedMember.Role = MemberRole.Server;
-
-                        _logger?.LogInformation("Member {MemberId} promoted to Server in session {SessionName}", 
-                            promotedMember.Id, session.Name);
-
-                        session.Version++;
-                    }
+                    promotedMember = PromoteRandomClient(session, connectedOnly: false);
                 }
             }
         }
 
-        // If no members left, destroy the session
-        var sessionDestroyed = session.Members.IsEmpty;
+        // If no players are left, destroy the session; spectators have nothing left to watch
+        var removedSpectators = new List<Member>();
+        var sessionDestroyed = session.PlayerCount == 0;
         if (sessionDestroyed)
         {
+            foreach (var spectator in session.Members.Values.ToList())
+            {
+                if (session.Members.TryRemove(spectator.Id, out _))
+                {
+                    _connectionToMember.TryRemove(spectator.ConnectionId, out _);
+                    _memberToSession.TryRemove(spectator.Id, out _);
+                    removedSpectators.Add(spectator);
+                }
+            }
             _sessions.TryRemove(sessionId, out _);
         }
 
@@ -197,22 +415,116 @@ public class SessionService : ISessionService
             session.Name,
             memberId,
             sessionDestroyed,
-            promotedMember
+            promotedMember,
+            removedSpectators
         );
     }
 
-    public ActiveSessionsResult GetActiveSessions()
+    /// <summary>
+    /// Promotes a random client to Server. Connected clients are preferred; spectators are never promoted.
+    /// Caller must hold the session's promotion lock.
+    /// </summary>
+    /// <param name="session">The session that needs a server.</param>
+    /// <param name="connectedOnly">When true, never promote a client that is waiting to reconnect.</param>
+    private Member? PromoteRandomClient(Session session, bool connectedOnly)
+    {
+        var clients = session.Members.Values.Where(m => m.Role == MemberRole.Client && m.IsConnected).ToList();
+        if (clients.Count == 0 && !connectedOnly)
+        {
+            clients = session.Members.Values.Where(m => m.Role == MemberRole.Client).ToList();
+        }
+
+        if (clients.Count == 0)
+            return null;
+
+        var promotedMember = clients[_random.Next(clients.Count)];
+        promotedMember.Role = MemberRole.Server;
+
+        _logger?.LogInformation("Member {MemberId} promoted to Server in session {SessionName}", 
+            promotedMember.Id, session.Name);
+
+        session.Version++;
+        return promotedMember;
+    }
+
+    public Member? SetDisplayName(string connectionId, string? displayName)
+    {
+        var member = GetMemberByConnectionId(connectionId);
+        var name = NormalizeDisplayName(displayName);
+        if (member == null || name == null)
+            return null;
+
+        member.DisplayName = name;
+        return member;
+    }
+
+    public Member? SetReady(string connectionId, bool ready)
+    {
+        var member = GetMemberByConnectionId(connectionId);
+        if (member == null || member.Role == MemberRole.Spectator)
+            return null;
+
+        member.IsReady = ready;
+        return member;
+    }
+
+    public bool AreAllPlayersReady(Guid sessionId)
+    {
+        if (!_sessions.TryGetValue(sessionId, out var session))
+            return false;
+
+        return session.Members.Values
+            .Where(m => m.Role == MemberRole.Client && m.IsConnected)
+            .All(m => m.IsReady);
+    }
+
+    private static string? NormalizeDisplayName(string? displayName)
+    {
+        if (string.IsNullOrWhiteSpace(displayName))
+            return null;
+
+        var builder = new StringBuilder();
+        var pendingSpace = false;
+        foreach (var c in displayName.Trim())
+        {
+            if (char.IsWhiteSpace(c))
+            {
+                pendingSpace = true;
+                continue;
+            }
+            if (char.IsControl(c) || char.GetUnicodeCategory(c) == UnicodeCategory.Format)
+                continue;
+
+            if (pendingSpace && builder.Length > 0)
+                builder.Append(' ');
+            pendingSpace = false;
+            builder.Append(c);
+        }
+
+        var name = builder.ToString();
+        var info = new StringInfo(name);
+        if (info.LengthInTextElements > MaxDisplayNameLength)
+            name = info.SubstringByTextElements(0, MaxDisplayNameLength).TrimEnd();
+
+        return name.Length > 0 ? name : null;
+    }
+
+    public ActiveSessionsResult GetActiveSessions(string? connectionId = null)
     {
-        var sessions = _sessions.Values
-            .Where(s => !s.Members.IsEmpty)
-            .Select(s => new SessionInfo(s.Id, s.Name, s.Members.Count, _maxMembersPerSession, s.CreatedAt, s.GameStarted))
+        var activeSessions = _sessions.Values.Where(s => !s.Members.IsEmpty).ToList();
+        var ownSessionId = connectionId != null ? GetSessionByConnectionId(connectionId)?.Id : null;
+
+        // Private sessions still count toward the session limit, but only their own members see them
+        var sessions = activeSessions
+            .Where(s => !s.IsPrivate || s.Id == ownSessionId)
+            .Select(s => new SessionInfo(s.Id, s.Name, s.PlayerCount, s.Rules.MaxPlayers, s.CreatedAt, s.GameStarted, s.SpectatorCount, s.IsPrivate, s.IsLocked))
             .OrderByDescending(s => s.CreatedAt)
             .ToList();
 
         return new ActiveSessionsResult(
             sessions,
             _maxSessions,
-            sessions.Count < _maxSessions
+            activeSessions.Count < _maxSessions
         );
     }
 
@@ -221,6 +533,15 @@ public class SessionService : ISessionService
         return _sessions.TryGetValue(sessionId, out var session) ? session : null;
     }
 
+    public Session? GetSessionByJoinCode(string joinCode)
+    {
+        var code = joinCode.Trim().ToUpperInvariant();
+        if (code.Length == 0)
+            return null;
+
+        return _sessions.Values.FirstOrDefault(s => s.JoinCode == code);
+    }
+
     public Member? GetMemberByConnectionId(string connectionId)
     {
         if (!_connectionToMember.TryGetValue(connectionId, out var memberId))
@@ -246,6 +567,45 @@ public class SessionService : ISessionService
         return _sessions.TryGetValue(sessionId, out var session) ? session : null;
     }
 
+    /// <summary>
+    /// Checks requested session rules against what the game supports.
+    /// </summary>
+    /// <returns>An error message, or null if the rules are valid.</returns>
+    private string? ValidateRules(SessionRules rules)
+    {
+        if (rules.Lives < SessionRules.MinLives || rules.Lives > SessionRules.MaxLives)
+            return $"Lives must be between {SessionRules.MinLives} and {SessionRules.MaxLives}";
+
+        if (!SessionRules.Difficulties.Contains(rules.Difficulty))
+            return $"Unknown difficulty '{rules.Difficulty}'";
+
+        if (!SessionRules.GameModes.Contains(rules.GameMode))
+            return $"Unknown game mode '{rules.GameMode}'";
+
+        if (rules.MaxPlayers < 1 || rules.MaxPlayers > _maxMembersPerSession)
+            return $"Max players must be between 1 and {_maxMembersPerSession}";
+
+        return null;
+    }
+
+    private string GenerateUniqueJoinCode()
+    {
+        lock (_nameLock)
+        {
+            var usedCodes = _sessions.Values.Select(s => s.JoinCode).ToHashSet();
+            while (true)
+            {
+                var code = string.Create(JoinCodeLength, 0, (chars, _) =>
+                {
+                    for (var i = 0; i < chars.Length; i++)
+                        chars[i] = JoinCodeAlphabet[RandomNumberGenerator.GetInt32(JoinCodeAlphabet.Length)];
+                });
+                if (!usedCodes.Contains(code))
+                    return code;
+            }
+        }
+    }
+
     private string GenerateUniqueFruitName()
     {
         lock (_nameLock)
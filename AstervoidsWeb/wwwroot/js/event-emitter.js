@@ -0,0 +1,127 @@
+/**
+ * Event Emitter Module
+ * Publish/subscribe helper behind the SessionClient and ObjectSync events.
+ * Any number of listeners can observe an event, and a listener that throws
+ * is logged without stopping the ones after it.
+ */
+
+const EventEmitter = (function() {
+    /**
+     * Create an emitter for a fixed set of events.
+     * @param {string} name - Owner name used in log messages (e.g. 'SessionClient')
+     * @param {string[]} eventNames - Events that can be subscribed to
+     */
+    function create(name, eventNames) {
+        const listeners = new Map(eventNames.map(event => [event, []]));
+
+        /**
+         * Subscribe to an event.
+         * @param {string} event - Event name
+         * @param {Function} listener - Called with the event's arguments
+         * @returns {Function} Call to unsubscribe
+         */
+        function on(event, listener) {
+            return subscribe(event, listener, listener);
+        }
+
+        /**
+         * Subscribe to the next occurrence of an event only.
+         * @param {string} event - Event name
+         * @param {Function} listener - Called once with the event's arguments
+         * @returns {Function} Call to unsubscribe before it fires
+         */
+        function once(event, listener) {
+            const unsubscribe = subscribe(event, (...args) => {
+                unsubscribe();
+                return listener(...args);
+            }, listener);
+            return unsubscribe;
+        }
+
+        // Entries keep the function the caller passed in (original) so off() finds
+        // once() listeners too; the same function can be subscribed more than once
+        function subscribe(event, listener, original) {
+            const list = listeners.get(event);
+            if (!list) {
+                console.warn(`[${name}] Unknown event:`, event);
+                return () => {};
+            }
+            if (typeof original !== 'function') {
+                console.warn(`[${name}] Listener for ${event} is not a function`);
+                return () => {};
+            }
+
+            const entry = { listener, original };
+            list.push(entry);
+            return () => {
+                const index = list.indexOf(entry);
+                if (index !== -1) list.splice(index, 1);
+            };
+        }
+
+        /**
+         * Unsubscribe a listener, or every listener of the event when none is given.
+         * @param {string} event - Event name
+         * @param {Function} [listener] - Listener passed to on() or once()
+         */
+        function off(event, listener) {
+            const list = listeners.get(event);
+            if (!list) return;
+
+            if (!listener) {
+                list.length = 0;
+                return;
+            }
+            const index = list.findIndex(entry => entry.original === listener);
+            if (index !== -1) list.splice(index, 1);
+        }
+
+        /**
+         * Call every listener of an event in subscription order.
+         * Listeners added or removed while emitting take effect from the next emit.
+         * Errors, including rejections from async listeners, are logged per listener.
+         * @param {string} event - Event name
+         * @param {...*} args - Arguments passed to each listener
+         */
+        function emit(event, ...args) {
+            const list = listeners.get(event);
+            if (!list || list.length === 0) return;
+
+            for (const entry of [...list]) {
+                try {
+                    const result = entry.listener(...args);
+                    if (result && typeof result.catch === 'function') {
+                        result.catch(err => console.error(`[${name}] ${event} listener failed:`, err));
+                    }
+                } catch (err) {
+                    console.error(`[${name}] ${event} listener failed:`, err);
+                }
+            }
+        }
+
+        /**
+         * Number of listeners subscribed to an event.
+         * @param {string} event - Event name
+         */
+        function listenerCount(event) {
+            return listeners.get(event)?.length || 0;
+        }
+
+        return {
+            on,
+            once,
+            off,
+            emit,
+            listenerCount
+        };
+    }
+
+    return {
+        create
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventEmitter;
+}
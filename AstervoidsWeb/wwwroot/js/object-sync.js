@@ -19,17 +19,37 @@ const ObjectSync = (function() {
     let frameCounter = 0;
     let sendThreshold = 2;          // recalculated each frame from actual frame time
 
-    // Callbacks
-    const callbacks = {
-        onObjectCreated: null,
-        onObjectUpdated: null,
-        onObjectDeleted: null,
-        onSyncError: null
-    };
+    // Delta compression: only fields that changed since the last state the hub
+    // acknowledged are sent, with numbers rounded to a fixed number of decimals
+    const syncBaselines = new Map();  // objectId -> { fields, fullAt }
+    let precision = 4;                // decimals kept for numbers on the wire
+    let fieldPrecision = { angle: 3, rotationSpeed: 5 };
+    let fullStateInterval = 1000;     // ms between full states per object
+
+    // Version conflicts: the version each object should have on the server once our
+    // in-flight updates land, and how rejected updates are resolved per object type
+    const expectedVersions = new Map();   // objectId -> version
+    let defaultConflictPolicy = 'retry';  // 'retry' (local state wins) or 'drop' (server state wins)
+    let conflictPolicies = {};            // data.type -> policy
+
+    // Unsubscribe handles for the SessionClient events init() listens to
+    let sessionSubscriptions = [];
+
+    // Events - any number of listeners each (see event-emitter.js)
+    const events = EventEmitter.create('ObjectSync', [
+        'onObjectCreated',
+        'onObjectUpdated',
+        'onObjectDeleted',
+        'onObjectReplaced',
+        'onSyncError',
+        'onSyncConflict',
+        'onOwnershipChanged'
+    ]);
     
     /**
-     * Configure sync timing parameters.
-     * @param {object} config - { nominalFrameTime, minFrameTime }
+     * Configure sync timing, delta compression and conflict handling.
+     * @param {object} config - { nominalFrameTime, minFrameTime, precision, fieldPrecision, fullStateInterval,
+     *                            defaultConflictPolicy, conflictPolicies }
      */
     function configure(config) {
         if (config.nominalFrameTime !== undefined) {
@@ -38,6 +58,21 @@ const ObjectSync = (function() {
         if (config.minFrameTime !== undefined) {
             minFrameTime = config.minFrameTime;
         }
+        if (config.precision !== undefined) {
+            precision = config.precision;
+        }
+        if (config.fieldPrecision !== undefined) {
+            fieldPrecision = { ...fieldPrecision, ...config.fieldPrecision };
+        }
+        if (config.fullStateInterval !== undefined) {
+            fullStateInterval = config.fullStateInterval;
+        }
+        if (config.defaultConflictPolicy !== undefined) {
+            defaultConflictPolicy = config.defaultConflictPolicy;
+        }
+        if (config.conflictPolicies !== undefined) {
+            conflictPolicies = { ...conflictPolicies, ...config.conflictPolicies };
+        }
     }
     
     /**
@@ -104,16 +139,22 @@ const ObjectSync = (function() {
     }
 
     /**
-     * Initialize the object sync module.
+     * Initialize the object sync module. Safe to call again after reconnecting:
+     * the previous session client subscriptions are dropped first.
      */
     function init() {
+        sessionSubscriptions.forEach(unsubscribe => unsubscribe());
+        
         // Register for session client events
-        SessionClient.on('onObjectCreated', handleRemoteObjectCreated);
-        SessionClient.on('onObjectsUpdated', handleRemoteObjectsUpdated);
-        SessionClient.on('onObjectDeleted', handleRemoteObjectDeleted);
-        SessionClient.on('onObjectReplaced', handleRemoteObjectReplaced);
-        SessionClient.on('onSessionJoined', handleSessionJoined);
-        SessionClient.on('onSessionLeft', handleSessionLeft);
+        sessionSubscriptions = [
+            SessionClient.on('onObjectCreated', handleRemoteObjectCreated),
+            SessionClient.on('onObjectsUpdated', handleRemoteObjectsUpdated),
+            SessionClient.on('onObjectDeleted', handleRemoteObjectDeleted),
+            SessionClient.on('onObjectReplaced', handleRemoteObjectReplaced),
+            SessionClient.on('onObjectOwnershipChanged', handleRemoteOwnershipChanged),
+            SessionClient.on('onSessionJoined', handleSessionJoined),
+            SessionClient.on('onSessionLeft', handleSessionLeft)
+        ];
 
         console.log('[ObjectSync] Initialized');
     }
@@ -124,6 +165,8 @@ const ObjectSync = (function() {
     function handleSessionJoined(session, member) {
         objects.clear();
         typeIndex.clear();
+        syncBaselines.clear();
+        expectedVersions.clear();
         pendingUpdates = [];
         frameCounter = 0;
 
@@ -136,7 +179,8 @@ const ObjectSync = (function() {
                     scope: obj.scope,
                     data: obj.data || {},
                     version: obj.version,
-                    isLocal: false
+                    // Only a resumed member already has objects of its own
+                    isLocal: obj.creatorMemberId === member?.id
                 };
                 objects.set(obj.id, localObj);
                 addToTypeIndex(localObj);
@@ -146,12 +190,22 @@ const ObjectSync = (function() {
         console.log('[ObjectSync] Loaded', objects.size, 'objects from session');
     }
 
+    /**
+     * Handle session resumed after a dropped connection - reload objects,
+     * since changes made while we were away were never received.
+     */
+    function handleSessionResumed(session, member) {
+        handleSessionJoined(session, member);
+    }
+
     /**
      * Handle session left - clear objects.
      */
     function handleSessionLeft() {
         objects.clear();
         typeIndex.clear();
+        syncBaselines.clear();
+        expectedVersions.clear();
         pendingUpdates = [];
         frameCounter = 0;
         console.log('[ObjectSync] Cleared all objects');
@@ -181,13 +235,12 @@ const ObjectSync = (function() {
         objects.set(obj.id, obj);
         addToTypeIndex(obj);
 
-        if (callbacks.onObjectCreated) {
-            callbacks.onObjectCreated(obj);
-        }
+        events.emit('onObjectCreated', obj);
     }
 
     /**
-     * Handle remote objects updated.
+     * Handle remote objects updated. Each update carries only the fields that
+     * changed, which are merged into the local copy.
      */
     function handleRemoteObjectsUpdated(updatedObjects) {
         for (const update of updatedObjects) {
@@ -196,19 +249,18 @@ const ObjectSync = (function() {
                 // Only apply if version is newer
                 if (update.version > existing.version) {
                     const oldType = existing.data?.type;
-                    existing.data = update.data;
+                    Object.assign(existing.data, update.data);
                     existing.version = update.version;
                     existing.ownerMemberId = update.ownerMemberId;
                     
                     // Update type index if type changed
-                    updateTypeIndex(existing, oldType, update.data?.type);
+                    updateTypeIndex(existing, oldType, existing.data.type);
 
-                    if (callbacks.onObjectUpdated) {
-                        callbacks.onObjectUpdated(existing);
-                    }
+                    events.emit('onObjectUpdated', existing);
                 }
-            } else {
-                // Object doesn't exist locally, add it
+            } else if (update.data?.type !== undefined) {
+                // Object doesn't exist locally, add it. A delta can't describe an object
+                // we never saw, so this waits for a full state, which carries the type.
                 const obj = {
                     id: update.id,
                     creatorMemberId: update.creatorMemberId,
@@ -221,9 +273,7 @@ const ObjectSync = (function() {
                 objects.set(obj.id, obj);
                 addToTypeIndex(obj);
 
-                if (callbacks.onObjectCreated) {
-                    callbacks.onObjectCreated(obj);
-                }
+                events.emit('onObjectCreated', obj);
             }
         }
     }
@@ -233,13 +283,12 @@ const ObjectSync = (function() {
      */
     function handleRemoteObjectDeleted(objectId) {
         const obj = objects.get(objectId);
+        forgetSyncState(objectId);
         if (obj) {
             removeFromTypeIndex(obj);
             objects.delete(objectId);
 
-            if (callbacks.onObjectDeleted) {
-                callbacks.onObjectDeleted(obj);
-            }
+            events.emit('onObjectDeleted', obj);
         }
     }
 
@@ -255,9 +304,30 @@ const ObjectSync = (function() {
             handleRemoteObjectCreated(objectInfo);
         }
 
-        if (callbacks.onObjectReplaced) {
-            callbacks.onObjectReplaced(event.deletedObjectId, event.createdObjects);
+        events.emit('onObjectReplaced', event.deletedObjectId, event.createdObjects);
+    }
+
+    /**
+     * Handle an object changing hands through requestOwnership() or transferOwnership().
+     * @param {{objectId: string, previousOwnerId: string, newOwnerId: string, version: number}} info
+     */
+    function handleRemoteOwnershipChanged(info) {
+        const obj = objects.get(info.objectId);
+        // The new owner starts from a full state
+        forgetSyncState(info.objectId);
+        if (!obj) return;
+
+        // An update newer than the change already carried the new owner
+        if (info.version <= obj.version) return;
+        obj.ownerMemberId = info.newOwnerId;
+        obj.version = info.version;
+
+        // Updates we queued as the previous owner would only be rejected
+        if (info.previousOwnerId === SessionClient.getCurrentMember()?.id) {
+            pendingUpdates = pendingUpdates.filter(u => u.objectId !== info.objectId);
         }
+
+        events.emit('onOwnershipChanged', obj, info.previousOwnerId);
     }
 
     /**
@@ -276,9 +346,7 @@ const ObjectSync = (function() {
             return objectInfo;
         } catch (err) {
             console.error('[ObjectSync] Create object failed:', err);
-            if (callbacks.onSyncError) {
-                callbacks.onSyncError('create', err);
-            }
+            events.emit('onSyncError', 'create', err);
             throw err;
         }
     }
@@ -297,9 +365,7 @@ const ObjectSync = (function() {
             return createdInfos;
         } catch (err) {
             console.error('[ObjectSync] Replace object failed:', err);
-            if (callbacks.onSyncError) {
-                callbacks.onSyncError('replace', err);
-            }
+            events.emit('onSyncError', 'replace', err);
             throw err;
         }
     }
@@ -326,16 +392,7 @@ const ObjectSync = (function() {
         }
 
         // Queue for batch sync
-        const existingUpdate = pendingUpdates.find(u => u.objectId === objectId);
-        if (existingUpdate) {
-            Object.assign(existingUpdate.data, data);
-        } else {
-            pendingUpdates.push({
-                objectId: objectId,
-                data: { ...data },
-                expectedVersion: obj.version
-            });
-        }
+        queueUpdate(objectId, data);
 
         if (immediate) {
             flushUpdates();
@@ -345,6 +402,21 @@ const ObjectSync = (function() {
         return true;
     }
 
+    /**
+     * Merge fields into the object's pending update, creating it if needed.
+     * @param {boolean} overwrite - False to keep fields already queued (they are newer)
+     */
+    function queueUpdate(objectId, data, overwrite = true) {
+        const existingUpdate = pendingUpdates.find(u => u.objectId === objectId);
+        if (!existingUpdate) {
+            pendingUpdates.push({ objectId, data: { ...data } });
+        } else if (overwrite) {
+            Object.assign(existingUpdate.data, data);
+        } else {
+            existingUpdate.data = { ...data, ...existingUpdate.data };
+        }
+    }
+
     /**
      * Called once per frame to drive frame-count-based sync.
      * Recalculates the send threshold from the current frame time,
@@ -362,23 +434,179 @@ const ObjectSync = (function() {
     }
 
     /**
-     * Flush all pending updates to the server.
+     * Round a number to the precision configured for its field.
+     * Integers, and values that aren't numbers, are sent as they are.
+     */
+    function quantize(field, value) {
+        if (typeof value !== 'number' || Number.isInteger(value) || !Number.isFinite(value)) {
+            return value;
+        }
+        const factor = 10 ** (fieldPrecision[field] ?? precision);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Comparable form of a wire value. Nested objects (e.g. the players table)
+     * are compared by content, since callers often mutate them in place.
+     */
+    function fingerprint(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    /**
+     * Build the fields to send for an object: those of the queued update whose
+     * quantized value differs from the baseline, or every field of the object
+     * when it has no baseline yet or its last full state is too old.
+     * @returns {object|null} Fields to send, or null when nothing changed
+     */
+    function buildDelta(obj, queuedData, now) {
+        let baseline = syncBaselines.get(obj.id);
+        const full = !baseline || now - baseline.fullAt >= fullStateInterval;
+        if (full) {
+            baseline = { fields: {}, fullAt: now };
+            syncBaselines.set(obj.id, baseline);
+        }
+
+        const delta = {};
+        let changed = false;
+        // The queued fields win over the object's data, which an echo of an earlier update may have overwritten
+        const source = full ? { ...obj.data, ...queuedData } : queuedData;
+        for (const [field, value] of Object.entries(source)) {
+            if (value === undefined) continue;
+            const wireValue = quantize(field, value);
+            const print = fingerprint(wireValue);
+            if (!full && baseline.fields[field] === print) continue;
+
+            baseline.fields[field] = print;
+            delta[field] = wireValue;
+            changed = true;
+        }
+        return changed ? delta : null;
+    }
+
+    /**
+     * Flush all pending updates to the server, sending only changed fields.
+     * The baselines are advanced as updates are sent; the hub's response is then
+     * reconciled (see reconcileUpdates), and objects whose update wasn't applied
+     * lose their baseline, so their next update is a full state.
      */
     async function flushUpdates() {
         if (pendingUpdates.length === 0) return;
         if (!SessionClient.isInSession()) return;
-
-        const updates = pendingUpdates;
+        // Hold updates while the connection is down (they keep merging per object)
+        if (!SessionClient.isConnected()) return;
+
+        const now = Date.now();
+        const updates = [];
+        for (const pending of pendingUpdates) {
+            const obj = objects.get(pending.objectId);
+            if (!obj) continue;
+
+            const delta = buildDelta(obj, pending.data, now);
+            if (delta) {
+                // Count on our in-flight updates landing first, so updates can be pipelined
+                const expectedVersion = Math.max(obj.version, expectedVersions.get(obj.id) ?? 0);
+                expectedVersions.set(obj.id, expectedVersion + 1);
+                updates.push({ objectId: obj.id, data: delta, expectedVersion });
+            }
+        }
         pendingUpdates = [];
+        if (updates.length === 0) return;
 
         try {
-            await SessionClient.updateObjects(updates);
+            const response = await SessionClient.updateObjects(updates);
+            reconcileUpdates(updates, response);
         } catch (err) {
+            updates.forEach(update => forgetSyncState(update.objectId));
             console.error('[ObjectSync] Batch update failed:', err);
-            if (callbacks.onSyncError) {
-                callbacks.onSyncError('update', err);
+            events.emit('onSyncError', 'update', err);
+        }
+    }
+
+    /**
+     * Drop what we assumed the server has for an object, so its next update
+     * is a full state checked against the version we know of.
+     */
+    function forgetSyncState(objectId) {
+        syncBaselines.delete(objectId);
+        expectedVersions.delete(objectId);
+    }
+
+    /**
+     * Reconcile local objects with the hub's answer to a batch of updates.
+     * Applied updates advance the local version; rejected ones are resolved by resolveConflict().
+     * @param {Array} updates - The updates that were sent
+     * @param {{applied: Array, rejected: Array}|null} response - null when the hub didn't process the batch
+     */
+    function reconcileUpdates(updates, response) {
+        if (!response) {
+            updates.forEach(update => forgetSyncState(update.objectId));
+            return;
+        }
+
+        for (const info of response.applied) {
+            const obj = objects.get(info.id);
+            if (obj && info.version > obj.version) {
+                obj.version = info.version;
+            }
+        }
+
+        const sent = new Map(updates.map(u => [u.objectId, u]));
+        for (const rejection of response.rejected) {
+            resolveConflict(rejection, sent.get(rejection.objectId));
+        }
+    }
+
+    /**
+     * Resolve an update the hub rejected. The object adopts the server's version and owner;
+     * then, for a version conflict, the type's policy decides: 'retry' sends the local state
+     * again, 'drop' discards the local change and takes the server's data. An object that is
+     * no longer ours, or no longer exists, always drops. Reported through onSyncConflict.
+     * @param {{objectId: string, reason: string, current: object|null}} rejection
+     * @param {object} [update] - The rejected update as sent
+     */
+    function resolveConflict(rejection, update) {
+        const { objectId, reason, current } = rejection;
+        forgetSyncState(objectId);
+
+        const obj = objects.get(objectId);
+        if (!obj || !current) {
+            // Gone from the server too; its deletion is broadcast separately
+            pendingUpdates = pendingUpdates.filter(u => u.objectId !== objectId);
+            events.emit('onSyncConflict', { objectId, reason, resolution: 'dropped', object: obj || null });
+            return;
+        }
+
+        const policy = reason === 'VersionConflict'
+            ? (conflictPolicies[current.data?.type ?? obj.data.type] ?? defaultConflictPolicy)
+            : 'drop';
+
+        // Never step back to a state older than updates we've already received
+        const isNewer = current.version >= obj.version;
+        if (isNewer) {
+            obj.version = current.version;
+            obj.ownerMemberId = current.ownerMemberId;
+        }
+
+        if (policy === 'retry') {
+            // Without a baseline the next flush sends the whole local state
+            queueUpdate(objectId, update?.data || {}, false);
+        } else {
+            pendingUpdates = pendingUpdates.filter(u => u.objectId !== objectId);
+            if (isNewer) {
+                const oldType = obj.data?.type;
+                obj.data = { ...current.data };
+                updateTypeIndex(obj, oldType, obj.data.type);
+                events.emit('onObjectUpdated', obj);
             }
         }
+
+        events.emit('onSyncConflict', {
+            objectId,
+            reason,
+            resolution: policy === 'retry' ? 'retried' : 'dropped',
+            object: obj
+        });
     }
 
     /**
@@ -399,15 +627,63 @@ const ObjectSync = (function() {
 
         // Also remove from pending updates
         pendingUpdates = pendingUpdates.filter(u => u.objectId !== objectId);
+        forgetSyncState(objectId);
 
         try {
             const success = await SessionClient.deleteObject(objectId);
             return success;
         } catch (err) {
             console.warn('[ObjectSync] Server delete failed (local deletion already applied):', objectId, err.message);
-            if (callbacks.onSyncError) {
-                callbacks.onSyncError('delete', err);
-            }
+            events.emit('onSyncError', 'delete', err);
+            return false;
+        }
+    }
+
+    /**
+     * Ask to take over a session-scoped object, e.g. an asteroid we're closest to.
+     * The hub settles concurrent requests: only the first member to ask gets it.
+     * The local copy changes owner when the hub's onOwnershipChanged broadcast arrives.
+     * @param {string} objectId - The object to take over
+     * @returns {Promise<boolean>} Whether we now own the object
+     */
+    async function requestOwnership(objectId) {
+        if (!SessionClient.isInSession()) {
+            throw new Error('Not in a session');
+        }
+
+        const obj = objects.get(objectId);
+        if (!obj) return false;
+        if (obj.ownerMemberId === SessionClient.getCurrentMember()?.id) return true;
+
+        try {
+            return await SessionClient.requestOwnership(objectId, obj.ownerMemberId);
+        } catch (err) {
+            console.error('[ObjectSync] Request ownership failed:', err);
+            events.emit('onSyncError', 'ownership', err);
+            return false;
+        }
+    }
+
+    /**
+     * Hand a session-scoped object to another player. Our queued updates are flushed
+     * first, so the new owner picks up from our latest state.
+     * @param {string} objectId - The object to hand over
+     * @param {string} newOwnerId - The player taking it over
+     * @returns {Promise<boolean>} Whether the object changed hands
+     */
+    async function transferOwnership(objectId, newOwnerId) {
+        if (!SessionClient.isInSession()) {
+            throw new Error('Not in a session');
+        }
+
+        if (!objects.has(objectId)) return false;
+
+        try {
+            await flushUpdates();
+            return await SessionClient.transferOwnership(objectId, newOwnerId);
+        } catch (err) {
+            console.error('[ObjectSync] Transfer ownership failed:', err);
+            events.emit('onSyncError', 'ownership', err);
             return false;
         }
     }
@@ -476,14 +752,29 @@ const ObjectSync = (function() {
     }
 
     /**
-     * Register a callback.
+     * Subscribe to an event. Several listeners can observe the same event;
+     * they run in subscription order and one throwing doesn't stop the rest.
+     * @param {string} event - Event name (e.g. 'onObjectCreated')
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {Function} Call to unsubscribe
      */
-    function on(event, callback) {
-        if (callbacks.hasOwnProperty(event)) {
-            callbacks[event] = callback;
-        } else {
-            console.warn('[ObjectSync] Unknown event:', event);
-        }
+    function on(event, listener) {
+        return events.on(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only.
+     * @returns {Function} Call to unsubscribe before it fires
+     */
+    function once(event, listener) {
+        return events.once(event, listener);
+    }
+
+    /**
+     * Unsubscribe a listener, or all of an event's listeners when none is given.
+     */
+    function off(event, listener) {
+        events.off(event, listener);
     }
 
     /**
@@ -497,6 +788,8 @@ const ObjectSync = (function() {
                 obj.ownerMemberId = migration.newOwnerId;
                 obj.version++;
             }
+            // The new owner starts from a full state
+            forgetSyncState(migration.objectId);
         }
     }
 
@@ -507,13 +800,12 @@ const ObjectSync = (function() {
     function handleMemberDeparture(deletedObjectIds) {
         for (const objectId of deletedObjectIds) {
             const obj = objects.get(objectId);
+            forgetSyncState(objectId);
             if (obj) {
                 removeFromTypeIndex(obj);
                 objects.delete(objectId);
 
-                if (callbacks.onObjectDeleted) {
-                    callbacks.onObjectDeleted(obj);
-                }
+                events.emit('onObjectDeleted', obj);
             }
         }
     }
@@ -531,6 +823,8 @@ const ObjectSync = (function() {
     function clear() {
         objects.clear();
         typeIndex.clear();
+        syncBaselines.clear();
+        expectedVersions.clear();
         pendingUpdates = [];
     }
 
@@ -541,6 +835,8 @@ const ObjectSync = (function() {
         replaceObject,
         updateObject,
         deleteObject,
+        requestOwnership,
+        transferOwnership,
         flushUpdates,
         tick,
         getObject,
@@ -554,8 +850,11 @@ const ObjectSync = (function() {
         getSendThreshold,
         handleOwnershipMigration,
         handleMemberDeparture,
+        handleSessionResumed,
         handleRoleChanged,
         on,
+        once,
+        off,
         clear
     };
 })();
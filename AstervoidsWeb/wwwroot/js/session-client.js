@@ -7,47 +7,80 @@ const SessionClient = (function() {
     let connection = null;
     let currentSession = null;
     let currentMember = null;
+    let resumeToken = null;     // Lets this member reclaim its place after a dropped connection
     let reconnectAttempts = 0;
     const maxReconnectAttempts = 5;
     const baseReconnectDelay = 1000;
+    let protocol = 'json';      // Hub protocol of the current connection ('json' or 'messagepack')
 
-    // Event callbacks
-    const callbacks = {
-        onConnected: null,
-        onDisconnected: null,
-        onSessionCreated: null,
-        onSessionJoined: null,
-        onSessionLeft: null,
-        onMemberJoined: null,
-        onMemberLeft: null,
-        onRoleChanged: null,
-        onObjectCreated: null,
-        onObjectsUpdated: null,
-        onObjectDeleted: null,
-        onObjectReplaced: null,
-        onObjectTypeEmpty: null,
-        onObjectTypeRestored: null,
-        onSessionsChanged: null,
-        onGameStarted: null,
-        onBulletHitReported: null,
-        onBulletHitConfirmed: null,
-        onBulletHitRejected: null,
-        onShipHitReported: null,
-        onScoreReported: null,
-        onError: null
+    // Hub methods taking hub records (by argument position) rather than plain values or object data
+    const recordArguments = {
+        CreateSession: [2],
+        UpdateObjects: [0]
     };
 
+    // Events - any number of listeners each (see event-emitter.js)
+    const events = EventEmitter.create('SessionClient', [
+        'onConnected',
+        'onDisconnected',
+        'onSessionCreated',
+        'onSessionJoined',
+        'onSessionLeft',
+        'onMemberJoined',
+        'onMemberLeft',
+        'onMemberDisconnected',
+        'onMemberResumed',
+        'onMemberUpdated',
+        'onRoleChanged',
+        'onReconnecting',
+        'onSessionResumed',
+        'onResumeFailed',
+        'onObjectCreated',
+        'onObjectsUpdated',
+        'onObjectDeleted',
+        'onObjectReplaced',
+        'onObjectOwnershipChanged',
+        'onObjectTypeEmpty',
+        'onObjectTypeRestored',
+        'onSessionsChanged',
+        'onGameStarted',
+        'onSessionEnded',
+        'onKicked',
+        'onHostTransferred',
+        'onSessionLockChanged',
+        'onBulletHitReported',
+        'onBulletHitConfirmed',
+        'onBulletHitRejected',
+        'onShipHitReported',
+        'onShipBulletHitReported',
+        'onShipBulletHitConfirmed',
+        'onScoreReported',
+        'onPowerUpCollected',
+        'onChatMessage',
+        'onDropInRequested',
+        'onPlayerDroppedIn',
+        'onLeaderboardChanged',
+        'onError'
+    ]);
+
     /**
      * Initialize the SignalR connection.
+     * @param {object} [options] - { protocol: 'json' (default) or 'messagepack' }
      */
-    async function connect() {
+    async function connect(options = {}) {
         if (connection && connection.state === signalR.HubConnectionState.Connected) {
             console.log('[SessionClient] Already connected');
             return true;
         }
 
         try {
-            connection = new signalR.HubConnectionBuilder()
+            protocol = options.protocol === 'messagepack' ? 'messagepack' : 'json';
+            if (protocol === 'messagepack' && !signalR.protocols?.msgpack) {
+                console.warn('[SessionClient] MessagePack protocol script not loaded - using JSON');
+                protocol = 'json';
+            }
+
+            const builder = new signalR.HubConnectionBuilder()
                 .withUrl('/sessionHub')
                 .withAutomaticReconnect({
                     nextRetryDelayInMilliseconds: retryContext => {
@@ -57,30 +90,112 @@ const SessionClient = (function() {
                         return Math.min(baseReconnectDelay * Math.pow(2, retryContext.previousRetryCount), 30000);
                     }
                 })
-                .configureLogging(signalR.LogLevel.Information)
-                .build();
+                .configureLogging(signalR.LogLevel.Information);
+            if (protocol === 'messagepack') {
+                builder.withHubProtocol(createMessagePackProtocol());
+            }
+            connection = builder.build();
 
             // Register event handlers
             setupEventHandlers();
 
             await connection.start();
-            console.log('[SessionClient] Connected to session hub');
+            console.log('[SessionClient] Connected to session hub using', protocol);
             reconnectAttempts = 0;
 
-            if (callbacks.onConnected) {
-                callbacks.onConnected();
-            }
+            events.emit('onConnected');
 
             return true;
         } catch (err) {
             console.error('[SessionClient] Connection failed:', err);
-            if (callbacks.onError) {
-                callbacks.onError('Connection failed: ' + err.message);
-            }
+            events.emit('onError', 'Connection failed: ' + err.message);
             return false;
         }
     }
 
+    /**
+     * Build the MessagePack hub protocol. MessagePack matches member names exactly,
+     * so the hub's PascalCase records are renamed to the camelCase the JSON protocol
+     * produces on the way in, and back to PascalCase on the way out.
+     */
+    function createMessagePackProtocol() {
+        const inner = new signalR.protocols.msgpack.MessagePackHubProtocol();
+        return {
+            name: inner.name,
+            version: inner.version,
+            transferFormat: inner.transferFormat,
+            parseMessages(input, logger) {
+                const messages = inner.parseMessages(input, logger);
+                for (const message of messages) {
+                    if (message.arguments) {
+                        message.arguments = message.arguments.map(arg => renameKeys(arg, toCamelCase));
+                    }
+                    if (message.result !== undefined) {
+                        message.result = renameKeys(message.result, toCamelCase);
+                    }
+                }
+                return messages;
+            },
+            writeMessage(message) {
+                const positions = message.arguments && recordArguments[message.target];
+                if (positions) {
+                    message = {
+                        ...message,
+                        arguments: message.arguments.map((arg, i) => positions.includes(i) ? renameKeys(arg, toPascalCase) : arg)
+                    };
+                }
+                return inner.writeMessage(message);
+            }
+        };
+    }
+
+    function toCamelCase(key) {
+        return key.charAt(0).toLowerCase() + key.slice(1);
+    }
+
+    function toPascalCase(key) {
+        return key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    /**
+     * Copy a value with its record member names renamed. Object data keeps its
+     * own keys, and dates become ISO strings as the JSON protocol delivers them.
+     */
+    function renameKeys(value, rename) {
+        if (Array.isArray(value)) return value.map(item => renameKeys(item, rename));
+        if (value instanceof Date) return value.toISOString();
+        if (value === null || typeof value !== 'object') return value;
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            const name = rename(key);
+            result[name] = key.toLowerCase() === 'data' ? item : renameKeys(item, rename);
+        }
+        return result;
+    }
+
+    /**
+     * Get the hub protocol of the current connection ('json' or 'messagepack').
+     */
+    function getProtocol() {
+        return protocol;
+    }
+
+    /**
+     * Measure the size of a hub invocation under each protocol (for diagnostics).
+     * @param {string} method - Hub method name (e.g. 'UpdateObjects')
+     * @param {...*} args - The method's arguments
+     * @returns {{json: number, messagepack: number|null}} Bytes on the wire; messagepack is null when its script isn't loaded
+     */
+    function measurePayload(method, ...args) {
+        const message = { type: signalR.MessageType.Invocation, target: method, arguments: args };
+        const json = new TextEncoder().encode(new signalR.JsonHubProtocol().writeMessage(message)).length;
+        const messagepack = signalR.protocols?.msgpack
+            ? createMessagePackProtocol().writeMessage(message).byteLength
+            : null;
+        return { json, messagepack };
+    }
+
     /**
      * Disconnect from the SignalR hub.
      */
@@ -95,6 +210,7 @@ const SessionClient = (function() {
             connection = null;
             currentSession = null;
             currentMember = null;
+            resumeToken = null;
         }
     }
 
@@ -104,23 +220,27 @@ const SessionClient = (function() {
     function setupEventHandlers() {
         connection.onreconnecting(error => {
             console.log('[SessionClient] Reconnecting...', error);
+            events.emit('onReconnecting', error);
         });
 
-        connection.onreconnected(connectionId => {
+        connection.onreconnected(async connectionId => {
             console.log('[SessionClient] Reconnected:', connectionId);
             reconnectAttempts = 0;
-            if (callbacks.onConnected) {
-                callbacks.onConnected();
+            // The hub holds our place for a grace period - reclaim it on the new connection
+            if (currentSession && currentMember) {
+                await resumeSession();
             }
+            events.emit('onConnected');
         });
 
+        // Only reached once automatic reconnection gives up, by which time
+        // the hub's grace period is over and our place is gone
         connection.onclose(error => {
             console.log('[SessionClient] Connection closed:', error);
             currentSession = null;
             currentMember = null;
-            if (callbacks.onDisconnected) {
-                callbacks.onDisconnected(error);
-            }
+            resumeToken = null;
+            events.emit('onDisconnected', error);
         });
 
         // Session events
@@ -130,9 +250,7 @@ const SessionClient = (function() {
             if (currentSession && currentSession.members) {
                 currentSession.members.push(memberInfo);
             }
-            if (callbacks.onMemberJoined) {
-                callbacks.onMemberJoined(memberInfo);
-            }
+            events.emit('onMemberJoined', memberInfo);
         });
 
         connection.on('OnMemberLeft', (info) => {
@@ -144,70 +262,89 @@ const SessionClient = (function() {
             }
 
             // Handle object cleanup/migration FIRST (before role change, so promoted member sees correct ownership)
-            if (callbacks.onMemberLeft) {
-                callbacks.onMemberLeft(info);
-            }
+            events.emit('onMemberLeft', info);
 
             // Check if we were promoted (after migration so ownership is correct for handleServerPromotion)
-            if (info.promotedMemberId && currentMember && 
-                info.promotedMemberId === currentMember.id) {
-                currentMember.role = info.promotedRole;
-                // Update local member in session members list
-                if (currentSession && currentSession.members) {
-                    const self = currentSession.members.find(m => m.id === currentMember.id);
-                    if (self) {
-                        self.role = info.promotedRole;
-                    }
+            applyPromotion(info);
+        });
+
+        // A member's connection dropped - it keeps its place (and ship) while it tries to resume,
+        // but a disconnected server hands its role to someone else
+        connection.on('OnMemberDisconnected', (info) => {
+            console.log('[SessionClient] Member disconnected:', info);
+
+            if (currentSession && currentSession.members && info.promotedMemberId) {
+                const former = currentSession.members.find(m => m.id === info.memberId);
+                if (former) {
+                    former.role = 'Client';
                 }
-                if (callbacks.onRoleChanged) {
-                    callbacks.onRoleChanged(info.promotedRole);
+            }
+
+            events.emit('onMemberDisconnected', info);
+
+            applyPromotion(info);
+        });
+
+        connection.on('OnMemberResumed', (memberInfo) => {
+            console.log('[SessionClient] Member resumed:', memberInfo);
+            if (currentSession && currentSession.members) {
+                const member = currentSession.members.find(m => m.id === memberInfo.id);
+                if (member) {
+                    member.role = memberInfo.role;
                 }
             }
+            events.emit('onMemberResumed', memberInfo);
+        });
+
+        // A member changed its display name or ready flag
+        connection.on('OnMemberUpdated', (memberInfo) => {
+            if (currentSession && currentSession.members) {
+                const member = currentSession.members.find(m => m.id === memberInfo.id);
+                if (member) {
+                    member.displayName = memberInfo.displayName;
+                    member.isReady = memberInfo.isReady;
+                }
+            }
+            if (currentMember && currentMember.id === memberInfo.id) {
+                currentMember.displayName = memberInfo.displayName;
+                currentMember.isReady = memberInfo.isReady;
+            }
+            events.emit('onMemberUpdated', memberInfo);
         });
 
         // Object events
         connection.on('OnObjectCreated', (objectInfo) => {
-            if (callbacks.onObjectCreated) {
-                callbacks.onObjectCreated(objectInfo);
-            }
+            events.emit('onObjectCreated', objectInfo);
         });
 
         connection.on('OnObjectsUpdated', (objects) => {
-            if (callbacks.onObjectsUpdated) {
-                callbacks.onObjectsUpdated(objects);
-            }
+            events.emit('onObjectsUpdated', objects);
         });
 
         connection.on('OnObjectDeleted', (objectId) => {
-            if (callbacks.onObjectDeleted) {
-                callbacks.onObjectDeleted(objectId);
-            }
+            events.emit('onObjectDeleted', objectId);
         });
 
         connection.on('OnObjectReplaced', (event) => {
-            if (callbacks.onObjectReplaced) {
-                callbacks.onObjectReplaced(event);
-            }
+            events.emit('onObjectReplaced', event);
+        });
+
+        connection.on('OnObjectOwnershipChanged', (info) => {
+            events.emit('onObjectOwnershipChanged', info);
         });
 
         connection.on('OnObjectTypeEmpty', (objectType) => {
-            if (callbacks.onObjectTypeEmpty) {
-                callbacks.onObjectTypeEmpty(objectType);
-            }
+            events.emit('onObjectTypeEmpty', objectType);
         });
 
         connection.on('OnObjectTypeRestored', (objectType) => {
-            if (callbacks.onObjectTypeRestored) {
-                callbacks.onObjectTypeRestored(objectType);
-            }
+            events.emit('onObjectTypeRestored', objectType);
         });
 
         // Session list changed (signal only - fetch data separately)
         connection.on('OnSessionsChanged', () => {
             console.log('[SessionClient] Sessions changed signal received');
-            if (callbacks.onSessionsChanged) {
-                callbacks.onSessionsChanged();
-            }
+            events.emit('onSessionsChanged');
         });
 
         // Game started in current session
@@ -216,54 +353,141 @@ const SessionClient = (function() {
             if (currentSession) {
                 currentSession.gameStarted = true;
             }
-            if (callbacks.onGameStarted) {
-                callbacks.onGameStarted(sessionId);
-            }
+            events.emit('onGameStarted', sessionId);
         });
 
         // Collision events
         connection.on('OnBulletHitReported', (report) => {
-            if (callbacks.onBulletHitReported) {
-                callbacks.onBulletHitReported(report);
-            }
+            events.emit('onBulletHitReported', report);
         });
 
         connection.on('OnBulletHitConfirmed', (confirmation) => {
-            if (callbacks.onBulletHitConfirmed) {
-                callbacks.onBulletHitConfirmed(confirmation);
-            }
+            events.emit('onBulletHitConfirmed', confirmation);
         });
 
         connection.on('OnBulletHitRejected', (rejection) => {
-            if (callbacks.onBulletHitRejected) {
-                callbacks.onBulletHitRejected(rejection);
-            }
+            events.emit('onBulletHitRejected', rejection);
         });
 
         connection.on('OnShipHitReported', (report) => {
-            if (callbacks.onShipHitReported) {
-                callbacks.onShipHitReported(report);
-            }
+            events.emit('onShipHitReported', report);
+        });
+
+        connection.on('OnShipBulletHitReported', (report) => {
+            events.emit('onShipBulletHitReported', report);
+        });
+
+        connection.on('OnShipBulletHitConfirmed', (confirmation) => {
+            events.emit('onShipBulletHitConfirmed', confirmation);
         });
 
         connection.on('OnScoreReported', (report) => {
-            if (callbacks.onScoreReported) {
-                callbacks.onScoreReported(report);
+            events.emit('onScoreReported', report);
+        });
+
+        connection.on('OnDropInRequested', (request) => {
+            events.emit('onDropInRequested', request);
+        });
+
+        connection.on('OnPlayerDroppedIn', (dropIn) => {
+            events.emit('onPlayerDroppedIn', dropIn);
+        });
+
+        // A member won the claim on a power-up (its deletion is broadcast separately)
+        connection.on('OnPowerUpCollected', (collected) => {
+            events.emit('onPowerUpCollected', collected);
+        });
+
+        connection.on('OnChatMessage', (message) => {
+            events.emit('onChatMessage', message);
+        });
+
+        // Leaderboard changed (signal only - fetch data separately)
+        connection.on('OnLeaderboardChanged', () => {
+            events.emit('onLeaderboardChanged');
+        });
+
+        // Sent to spectators when the last player leaves; the hub has already removed us
+        connection.on('OnSessionEnded', (sessionId) => {
+            console.log('[SessionClient] Session ended:', sessionId);
+            currentSession = null;
+            currentMember = null;
+            events.emit('onSessionEnded', sessionId);
+        });
+
+        // The host removed us; the hub has already taken us out of the session
+        connection.on('OnKicked', (sessionId) => {
+            console.log('[SessionClient] Kicked from session:', sessionId);
+            currentSession = null;
+            currentMember = null;
+            resumeToken = null;
+            events.emit('onKicked', sessionId);
+        });
+
+        // The host handed the server role to another player
+        connection.on('OnHostTransferred', (info) => {
+            console.log('[SessionClient] Host transferred:', info);
+
+            if (currentSession && currentSession.members) {
+                for (const member of currentSession.members) {
+                    if (member.id === info.formerServerId) member.role = 'Client';
+                    if (member.id === info.newServerId) member.role = 'Server';
+                }
             }
+
+            // Migrate ownership first so the new server sees the objects it now owns
+            events.emit('onHostTransferred', info);
+
+            if (!currentMember) return;
+            const newRole = info.newServerId === currentMember.id ? 'Server'
+                : info.formerServerId === currentMember.id ? 'Client'
+                : null;
+            if (newRole) {
+                currentMember.role = newRole;
+                events.emit('onRoleChanged', newRole);
+            }
+        });
+
+        connection.on('OnSessionLockChanged', (locked) => {
+            if (currentSession) {
+                currentSession.isLocked = locked;
+            }
+            events.emit('onSessionLockChanged', locked);
         });
     }
 
+    /**
+     * Apply a server promotion carried by a member departure or disconnect,
+     * notifying onRoleChanged if we are the member promoted.
+     */
+    function applyPromotion(info) {
+        if (!info.promotedMemberId || !currentMember || info.promotedMemberId !== currentMember.id) return;
+
+        currentMember.role = info.promotedRole;
+        // Update local member in session members list
+        if (currentSession && currentSession.members) {
+            const self = currentSession.members.find(m => m.id === currentMember.id);
+            if (self) {
+                self.role = info.promotedRole;
+            }
+        }
+        events.emit('onRoleChanged', info.promotedRole);
+    }
+
     /**
      * Create a new session.
      * @param {number} aspectRatio - The aspect ratio (width/height) to lock for this session.
+     * @param {boolean} isPrivate - Hide the session from the list; others join with its code.
+     * @param {object|null} rules - Session rules ({ lives, difficulty, friendlyFire, maxPlayers, gameMode });
+     *   the hub rejects invalid rules, and null uses its defaults.
      */
-    async function createSession(aspectRatio) {
+    async function createSession(aspectRatio, isPrivate = false, rules = null) {
         if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
             throw new Error('Not connected to session hub');
         }
 
         try {
-            const response = await connection.invoke('CreateSession', aspectRatio);
+            const response = await connection.invoke('CreateSession', aspectRatio, isPrivate, rules);
             if (!response) {
                 console.log('[SessionClient] CreateSession failed - server at capacity');
                 return null;
@@ -274,42 +498,56 @@ const SessionClient = (function() {
                 role: response.role,
                 joinedAt: new Date().toISOString()
             };
+            resumeToken = response.resumeToken;
             currentSession = {
                 id: response.sessionId,
                 name: response.sessionName,
                 members: [currentMember],
                 objects: [],
-                aspectRatio: response.aspectRatio
+                aspectRatio: response.aspectRatio,
+                joinCode: response.joinCode,
+                isPrivate: response.isPrivate,
+                isLocked: false,
+                rules: response.rules
             };
 
             console.log('[SessionClient] Session created:', currentSession.name, 'aspectRatio:', currentSession.aspectRatio);
 
-            if (callbacks.onSessionCreated) {
-                callbacks.onSessionCreated(currentSession, currentMember);
-            }
+            events.emit('onSessionCreated', currentSession, currentMember);
 
             return { session: currentSession, member: currentMember };
         } catch (err) {
             console.error('[SessionClient] Create session failed:', err);
-            if (callbacks.onError) {
-                callbacks.onError('Failed to create session: ' + err.message);
-            }
+            events.emit('onError', 'Failed to create session: ' + err.message);
             throw err;
         }
     }
 
     /**
      * Join an existing session.
+     * Spectators watch without a ship and don't count toward the player cap.
+     */
+    async function joinSession(sessionId, asSpectator = false) {
+        return joinVia(asSpectator ? 'SpectateSession' : 'JoinSession', sessionId);
+    }
+
+    /**
+     * Join a session by its join code (the only way into a private session).
+     * Resolves to null if no session has that code or it can't be joined.
      */
-    async function joinSession(sessionId) {
+    async function joinSessionByCode(joinCode) {
+        return joinVia('JoinSessionByCode', joinCode);
+    }
+
+    async function joinVia(hubMethod, arg) {
         if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
             throw new Error('Not connected to session hub');
         }
 
         try {
-            const response = await connection.invoke('JoinSession', sessionId);
+            const response = await connection.invoke(hubMethod, arg);
             if (!response) {
-                console.log('[SessionClient] JoinSession failed - session full or already in a session');
+                console.log(`[SessionClient] ${hubMethod} failed - session full, not found or already in a session`);
                 return null;
             }
 
@@ -319,29 +557,85 @@ const SessionClient = (function() {
                 members: response.members,
                 objects: response.objects,
                 aspectRatio: response.aspectRatio,
-                gameStarted: response.gameStarted
+                gameStarted: response.gameStarted,
+                joinCode: response.joinCode,
+                isPrivate: response.isPrivate,
+                isLocked: response.isLocked,
+                rules: response.rules
             };
             currentMember = {
                 id: response.memberId,
                 role: response.role
             };
+            resumeToken = response.resumeToken;
 
-            console.log('[SessionClient] Joined session:', currentSession.name, 'aspectRatio:', currentSession.aspectRatio);
+            console.log('[SessionClient] Joined session:', currentSession.name, 'as', currentMember.role, 'aspectRatio:', currentSession.aspectRatio);
 
-            if (callbacks.onSessionJoined) {
-                callbacks.onSessionJoined(currentSession, currentMember);
-            }
+            events.emit('onSessionJoined', currentSession, currentMember);
 
             return { session: currentSession, member: currentMember };
         } catch (err) {
             console.error('[SessionClient] Join session failed:', err);
-            if (callbacks.onError) {
-                callbacks.onError('Failed to join session: ' + err.message);
-            }
+            events.emit('onError', 'Failed to join session: ' + err.message);
             throw err;
         }
     }
 
+    /**
+     * Reclaim our member identity after the connection dropped and came back.
+     * On success the session state (members, objects, our role) is refreshed from
+     * the hub and onSessionResumed fires; otherwise the session is gone and
+     * onResumeFailed fires.
+     * @returns {boolean} True if we are back in the session
+     */
+    async function resumeSession() {
+        const lostSession = currentSession;
+        try {
+            const response = await connection.invoke('ResumeSession', currentSession.id, currentMember.id, resumeToken);
+            if (response) {
+                const previousRole = currentMember.role;
+                currentSession = {
+                    id: response.sessionId,
+                    name: response.sessionName,
+                    members: response.members,
+                    objects: response.objects,
+                    aspectRatio: response.aspectRatio,
+                    gameStarted: response.gameStarted,
+                    joinCode: response.joinCode,
+                    isPrivate: response.isPrivate,
+                    isLocked: response.isLocked,
+                    rules: response.rules
+                };
+                currentMember = {
+                    id: response.memberId,
+                    role: response.role
+                };
+                resumeToken = response.resumeToken;
+
+                console.log('[SessionClient] Resumed session:', currentSession.name, 'as', currentMember.role);
+
+                events.emit('onSessionResumed', currentSession, currentMember, previousRole);
+                return true;
+            }
+        } catch (err) {
+            console.error('[SessionClient] Resume session failed:', err);
+        }
+
+        console.log('[SessionClient] Could not resume session - grace period over or session gone');
+        currentSession = null;
+        currentMember = null;
+        resumeToken = null;
+        events.emit('onResumeFailed', lostSession);
+        return false;
+    }
+
+    /**
+     * Watch an existing session as a spectator (works for full or running sessions).
+     */
+    async function spectateSession(sessionId) {
+        return joinSession(sessionId, true);
+    }
+
     /**
      * Leave the current session.
      */
@@ -355,21 +649,63 @@ const SessionClient = (function() {
             const leftSession = currentSession;
             currentSession = null;
             currentMember = null;
+            resumeToken = null;
 
             console.log('[SessionClient] Left session');
 
-            if (callbacks.onSessionLeft) {
-                callbacks.onSessionLeft(leftSession);
-            }
+            events.emit('onSessionLeft', leftSession);
         } catch (err) {
             console.error('[SessionClient] Leave session failed:', err);
         }
     }
 
+    /**
+     * Set our display name in the current session. The hub trims and length-limits it.
+     * @param {string} displayName - Requested name
+     * @returns {string|null} The name as the hub stored it, or null if it was rejected
+     */
+    async function setDisplayName(displayName) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('SetDisplayName', displayName);
+        } catch (err) {
+            console.error('[SessionClient] Set display name failed:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Mark ourselves ready (or not) in the lobby. Spectators can't ready up.
+     * @param {boolean} ready - Whether we are ready to start
+     */
+    async function setReady(ready) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('SetReady', ready);
+        } catch (err) {
+            console.error('[SessionClient] Set ready failed:', err);
+            throw err;
+        }
+    }
+
     /**
      * Start the game in the current session. Only the server can call this.
+     * Fails while some players aren't ready, unless forced.
+     * @param {boolean} force - Start even if not everyone is ready
      */
-    async function startGame() {
+    async function startGame(force = false) {
         if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
             throw new Error('Not connected to session hub');
         }
@@ -378,7 +714,7 @@ const SessionClient = (function() {
         }
 
         try {
-            const success = await connection.invoke('StartGame');
+            const success = await connection.invoke('StartGame', force);
             if (success && currentSession) {
                 currentSession.gameStarted = true;
             }
@@ -389,6 +725,71 @@ const SessionClient = (function() {
         }
     }
 
+    /**
+     * Remove a member from the current session. Only the server can kick. This is not
+     * a ban: the player can join again unless the session is locked.
+     * @param {string} memberId - The member to remove
+     * @returns {Promise<boolean>} Whether the member was removed
+     */
+    async function kickMember(memberId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('KickMember', memberId);
+        } catch (err) {
+            console.error('[SessionClient] Kick member failed:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Hand the server role to another player. Only the server can call this;
+     * both sides see the change through onRoleChanged.
+     * @param {string} memberId - The connected client to become the server
+     * @returns {Promise<boolean>} Whether the role was handed over
+     */
+    async function transferHost(memberId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('TransferHost', memberId);
+        } catch (err) {
+            console.error('[SessionClient] Transfer host failed:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Lock the current session against new players and spectators, or unlock it.
+     * Only the server can call this.
+     * @param {boolean} locked - Whether the session should be locked
+     */
+    async function setSessionLocked(locked) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('SetSessionLocked', locked);
+        } catch (err) {
+            console.error('[SessionClient] Set session locked failed:', err);
+            throw err;
+        }
+    }
+
     /**
      * Get list of active sessions.
      */
@@ -402,7 +803,8 @@ const SessionClient = (function() {
             return {
                 sessions: response.sessions || [],
                 maxSessions: response.maxSessions,
-                canCreateSession: response.canCreateSession
+                canCreateSession: response.canCreateSession,
+                maxPlayersPerSession: response.maxPlayersPerSession
             };
         } catch (err) {
             console.error('[SessionClient] Get sessions failed:', err);
@@ -410,6 +812,47 @@ const SessionClient = (function() {
         }
     }
 
+    /**
+     * Submit the session's final score to the leaderboard. Only the server can call this,
+     * once per game; member count and duration are recorded by the hub.
+     * @param {number} score - Final shared score
+     * @param {number} wave - Highest wave reached
+     * @returns {Promise<object|null>} The recorded entry and its rank (null if unranked), or null if rejected
+     */
+    async function submitScore(score, wave) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('SubmitScore', score, wave);
+        } catch (err) {
+            console.error('[SessionClient] Submit score failed:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Get the top multiplayer session scores, best first.
+     * @param {number} count - Maximum number of entries to return
+     */
+    async function getLeaderboard(count = 10) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+
+        try {
+            const response = await connection.invoke('GetLeaderboard', count);
+            return response.entries || [];
+        } catch (err) {
+            console.error('[SessionClient] Get leaderboard failed:', err);
+            throw err;
+        }
+    }
+
     /**
      * Create an object in the current session.
      * @param {object} data - Object data
@@ -433,6 +876,8 @@ const SessionClient = (function() {
 
     /**
      * Update multiple objects atomically.
+     * @returns {Promise<{applied: Array, rejected: Array}|null>} Applied updates (changed fields and new
+     *          version) and rejected ones ({ objectId, reason, current }), or null if the hub didn't process them
      */
     async function updateObjects(updates) {
         if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
@@ -488,6 +933,52 @@ const SessionClient = (function() {
         }
     }
 
+    /**
+     * Take over a session-scoped object from its current owner. When several members
+     * ask for the same object at once, the hub gives it to the first; everyone sees the
+     * change through onObjectOwnershipChanged.
+     * @param {string} objectId - The object to take over
+     * @param {string} expectedOwnerId - The owner we last saw; the request fails if it has changed
+     * @returns {Promise<boolean>} Whether we now own the object
+     */
+    async function requestOwnership(objectId, expectedOwnerId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('RequestOwnership', objectId, expectedOwnerId);
+        } catch (err) {
+            console.error('[SessionClient] Request ownership failed:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Hand a session-scoped object we own to another player (the server can hand over any object).
+     * @param {string} objectId - The object to hand over
+     * @param {string} newOwnerId - The player taking it over
+     * @returns {Promise<boolean>} Whether the object changed hands
+     */
+    async function transferOwnership(objectId, newOwnerId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('Not connected to session hub');
+        }
+        if (!currentSession) {
+            throw new Error('Not in a session');
+        }
+
+        try {
+            return await connection.invoke('TransferOwnership', objectId, newOwnerId);
+        } catch (err) {
+            console.error('[SessionClient] Transfer ownership failed:', err);
+            throw err;
+        }
+    }
+
     /**
      * Report that a bullet hit an asteroid. Asteroid owner will process the collision.
      */
@@ -524,14 +1015,53 @@ const SessionClient = (function() {
         }
     }
 
+    /**
+     * Report that a bullet hit another player's ship (versus).
+     * The authority arbitrates the hit.
+     */
+    async function reportShipBulletHit(shipObjectId, bulletObjectId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+        try {
+            await connection.invoke('ReportShipBulletHit', shipObjectId, bulletObjectId);
+        } catch (err) {
+            console.error('[SessionClient] ReportShipBulletHit failed:', err);
+        }
+    }
+
+    /**
+     * Confirm a ship hit after charging the target (authority only).
+     */
+    async function confirmShipBulletHit(bulletObjectId, bulletOwnerMemberId, targetMemberId, points) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+        try {
+            await connection.invoke('ConfirmShipBulletHit', bulletObjectId, bulletOwnerMemberId, targetMemberId, points);
+        } catch (err) {
+            console.error('[SessionClient] ConfirmShipBulletHit failed:', err);
+        }
+    }
+
+    /**
+     * Reject a ship hit (authority only). The shooter gets onBulletHitRejected.
+     */
+    async function rejectShipBulletHit(bulletObjectId, bulletOwnerMemberId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+        try {
+            await connection.invoke('RejectShipBulletHit', bulletObjectId, bulletOwnerMemberId);
+        } catch (err) {
+            console.error('[SessionClient] RejectShipBulletHit failed:', err);
+        }
+    }
+
     /**
      * Report score points earned by a player.
-     * Authority will update the shared score.
+     * Authority will update the shared score and the player's stats.
+     * @param {number} points - Points earned
+     * @param {string|null} target - What was destroyed: 'large', 'medium', 'small' or 'saucer'
      */
-    async function reportScore(points) {
+    async function reportScore(points, target = null) {
         if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
         try {
-            await connection.invoke('ReportScore', points);
+            await connection.invoke('ReportScore', points, target);
         } catch (err) {
             console.error('[SessionClient] ReportScore failed:', err);
         }
@@ -551,16 +1081,94 @@ const SessionClient = (function() {
     }
 
     /**
-     * Register event callbacks.
+     * Ask to join a game that is already running.
+     * The authority answers with onPlayerDroppedIn.
+     */
+    async function requestDropIn() {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+        try {
+            await connection.invoke('RequestDropIn');
+        } catch (err) {
+            console.error('[SessionClient] RequestDropIn failed:', err);
+        }
+    }
+
+    /**
+     * Approve a drop-in (authority only). Everyone gets onPlayerDroppedIn.
+     * @param {string} memberId - The member dropping in
+     * @param {number} x - Normalized spawn X
+     * @param {number} y - Normalized spawn Y
+     * @param {number} colorIndex - Ship color for the member
+     * @param {number} lives - Lives the member starts with
+     * @param {boolean} sharedLives - Whether the member draws from the shared lives pool
      */
-    function on(event, callback) {
-        if (callbacks.hasOwnProperty(event)) {
-            callbacks[event] = callback;
-        } else {
-            console.warn('[SessionClient] Unknown event:', event);
+    async function approveDropIn(memberId, x, y, colorIndex, lives, sharedLives) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+        try {
+            await connection.invoke('ApproveDropIn', memberId, x, y, colorIndex, lives, sharedLives);
+        } catch (err) {
+            console.error('[SessionClient] ApproveDropIn failed:', err);
         }
     }
 
+    /**
+     * Try to collect a power-up. The hub removes it atomically, so only one
+     * member's claim succeeds; everyone is notified via onPowerUpCollected.
+     * @param {string} objectId - The power-up object to collect
+     * @returns {Promise<boolean>} True if this member collected it
+     */
+    async function collectPowerUp(objectId) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return false;
+        try {
+            return await connection.invoke('CollectPowerUp', objectId);
+        } catch (err) {
+            console.error('[SessionClient] CollectPowerUp failed:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Send a chat message (or quick emote) to everyone in the session.
+     * The hub rejects empty and overlong messages and rate limits each member;
+     * accepted messages come back to every member, us included, via onChatMessage.
+     * @returns {boolean} True if the hub accepted the message
+     */
+    async function sendChat(text) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return false;
+        try {
+            return await connection.invoke('SendChat', text);
+        } catch (err) {
+            console.error('[SessionClient] SendChat failed:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Subscribe to an event. Several listeners can observe the same event;
+     * they run in subscription order and one throwing doesn't stop the rest.
+     * @param {string} event - Event name (e.g. 'onObjectCreated')
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {Function} Call to unsubscribe
+     */
+    function on(event, listener) {
+        return events.on(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only.
+     * @returns {Function} Call to unsubscribe before it fires
+     */
+    function once(event, listener) {
+        return events.once(event, listener);
+    }
+
+    /**
+     * Unsubscribe a listener, or all of an event's listeners when none is given.
+     */
+    function off(event, listener) {
+        events.off(event, listener);
+    }
+
     /**
      * Get current session info.
      */
@@ -589,29 +1197,59 @@ const SessionClient = (function() {
         return currentSession !== null;
     }
 
+    /**
+     * Check if watching the current session as a spectator.
+     */
+    function isSpectator() {
+        return currentMember !== null && currentMember.role === 'Spectator';
+    }
+
     // Public API
     return {
         connect,
         disconnect,
         createSession,
         joinSession,
+        joinSessionByCode,
+        spectateSession,
         leaveSession,
+        setDisplayName,
+        setReady,
         startGame,
+        kickMember,
+        transferHost,
+        setSessionLocked,
         getActiveSessions,
+        submitScore,
+        getLeaderboard,
         createObject,
         updateObjects,
         replaceObject,
         deleteObject,
+        requestOwnership,
+        transferOwnership,
         reportBulletHit,
         confirmBulletHit,
         rejectBulletHit,
         reportShipHit,
+        reportShipBulletHit,
+        confirmShipBulletHit,
+        rejectShipBulletHit,
         reportScore,
+        collectPowerUp,
+        sendChat,
+        requestDropIn,
+        approveDropIn,
         on,
+        once,
+        off,
         getCurrentSession,
         getCurrentMember,
+        getProtocol,
+        measurePayload,
         isConnected,
-        isInSession
+        isInSession,
+        isSpectator
     };
 })();
 
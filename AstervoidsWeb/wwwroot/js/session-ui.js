@@ -7,6 +7,7 @@ const SessionUI = (function() {
     let containerElement = null;
     let onSessionSelected = null;
     let refreshInterval = null;
+    let subscriptions = [];     // Unsubscribe handles for our SessionClient listeners
 
     /**
      * Initialize the session UI.
@@ -155,42 +156,45 @@ const SessionUI = (function() {
         const statusEl = document.getElementById('session-status');
         const contentEl = document.getElementById('session-content');
 
-        // Setup callbacks
-        SessionClient.on('onConnected', () => {
-            statusEl.textContent = '● Connected';
-            statusEl.className = 'status connected';
-            showSessionList();
-        });
-
-        SessionClient.on('onDisconnected', () => {
-            statusEl.textContent = '○ Disconnected';
-            statusEl.className = 'status';
-            contentEl.innerHTML = '<button onclick="SessionUI.reconnect()">Reconnect</button>';
-            stopAutoRefresh();
-        });
-
-        SessionClient.on('onError', (error) => {
-            statusEl.textContent = '⚠ ' + error;
-            statusEl.className = 'status error';
-        });
-
-        SessionClient.on('onMemberJoined', (member) => {
-            if (SessionClient.isInSession()) {
-                showInSessionUI();
-            }
-        });
+        // Setup callbacks (replacing any from an earlier connect)
+        unsubscribeAll();
+        subscriptions = [
+            SessionClient.on('onConnected', () => {
+                statusEl.textContent = '● Connected';
+                statusEl.className = 'status connected';
+                showSessionList();
+            }),
+
+            SessionClient.on('onDisconnected', () => {
+                statusEl.textContent = '○ Disconnected';
+                statusEl.className = 'status';
+                contentEl.innerHTML = '<button onclick="SessionUI.reconnect()">Reconnect</button>';
+                stopAutoRefresh();
+            }),
+
+            SessionClient.on('onError', (error) => {
+                statusEl.textContent = '⚠ ' + error;
+                statusEl.className = 'status error';
+            }),
+
+            SessionClient.on('onMemberJoined', (member) => {
+                if (SessionClient.isInSession()) {
+                    showInSessionUI();
+                }
+            }),
 
-        SessionClient.on('onMemberLeft', (info) => {
-            if (SessionClient.isInSession()) {
-                showInSessionUI();
-            }
-        });
+            SessionClient.on('onMemberLeft', (info) => {
+                if (SessionClient.isInSession()) {
+                    showInSessionUI();
+                }
+            }),
 
-        SessionClient.on('onRoleChanged', (newRole) => {
-            if (SessionClient.isInSession()) {
-                showInSessionUI();
-            }
-        });
+            SessionClient.on('onRoleChanged', (newRole) => {
+                if (SessionClient.isInSession()) {
+                    showInSessionUI();
+                }
+            })
+        ];
 
         // Connect
         const connected = await SessionClient.connect();
@@ -426,11 +430,20 @@ const SessionUI = (function() {
      */
     function destroy() {
         stopAutoRefresh();
+        unsubscribeAll();
         if (containerElement) {
             containerElement.innerHTML = '';
         }
     }
 
+    /**
+     * Stop listening to SessionClient events.
+     */
+    function unsubscribeAll() {
+        subscriptions.forEach(unsubscribe => unsubscribe());
+        subscriptions = [];
+    }
+
     // Public API
     return {
         init,